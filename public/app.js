@@ -5,6 +5,9 @@
 import { layoutManager } from './layout.js';
 
 const PDFJS_CDN_BASE = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@5.4.624';
+const SNAPSHOT_CACHE_SIZE = 20;
+const PDF_RANGE_CHUNK_SIZE = 256 * 1024;
+const SESSION_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple', 'gray'];
 let pdfjsLib = null;
 
 const state = {
@@ -19,7 +22,20 @@ const state = {
   pdfDocument: null,
   pdfCurrentPage: 1,
   pdfTotalPages: 1,
+  pagedImage: false,
+  previewFrame: null,
   pdfRenderTask: null, // Track current render task for cancellation
+  timeline: [],
+  timelineIndex: -1,
+  followLive: true,
+  diffMode: 'off',
+  diffOpacity: 50,
+  diffCanvases: null,
+  diffRegions: [],
+  diffRegionIndex: -1,
+  snapshotCache: new Map(), // url -> { etag, lastModified, contentType, blob }
+  clientRequests: new Map(), // requestId -> description of a request forwarded to the host
+  nextRequestId: 1,
   logAutoScroll: true,
   logFilter: 'all',
   theme: localStorage.getItem('theme') || 'system',
@@ -51,6 +67,19 @@ function initElements() {
     pdfPrev: document.getElementById('pdf-prev'),
     pdfNext: document.getElementById('pdf-next'),
     pdfPageInfo: document.getElementById('pdf-page-info'),
+    timelineControls: document.getElementById('timeline-controls'),
+    timelinePrev: document.getElementById('timeline-prev'),
+    timelineNext: document.getElementById('timeline-next'),
+    timelineSlider: document.getElementById('timeline-slider'),
+    timelineInfo: document.getElementById('timeline-info'),
+    timelineLiveCheck: document.getElementById('timeline-live-check'),
+    previewDiff: document.getElementById('preview-diff'),
+    diffBefore: document.getElementById('diff-before'),
+    diffAfter: document.getElementById('diff-after'),
+    diffMode: document.getElementById('diff-mode'),
+    diffOpacity: document.getElementById('diff-opacity'),
+    diffNextRegion: document.getElementById('diff-next-region'),
+    diffSummary: document.getElementById('diff-summary'),
     themeSelect: document.getElementById('theme-select'),
     sidebar: document.getElementById('sidebar'),
     sidebarToggle: document.getElementById('sidebar-toggle'),
@@ -174,6 +203,7 @@ function connectWebSocket() {
     updateConnectionStatus('connected');
     addLog('info', 'server', 'WebSocket connected');
     sendDebugSetting(state.debug);
+    sendSubscription();
   };
 
   state.ws.onmessage = (event) => {
@@ -214,6 +244,28 @@ function sendDebugSetting(enabled) {
   }
 }
 
+/**
+ * Send a message to the server if the WebSocket is open
+ * @param {Object} message - Message to send
+ * @returns {void}
+ */
+function sendWebSocketMessage(message) {
+  if (state.ws && state.ws.readyState === WebSocket.OPEN) {
+    state.ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Tell the server which session this tab follows live, so it can pace new frames
+ * @returns {void}
+ */
+function sendSubscription() {
+  sendWebSocketMessage({
+    type: 'subscribe',
+    sessionId: state.followLive ? state.currentSessionId : null
+  });
+}
+
 /**
  * Attempt to reconnect WebSocket with exponential backoff
  * @returns {void}
@@ -243,12 +295,21 @@ function handleWebSocketMessage(message) {
   switch (message.type) {
   case 'connected':
     console.log('Connected with client ID:', message.clientId);
+    showClientRequests(message.clientRequests !== false);
     break;
 
   case 'snapshot':
     handleSnapshotUpdate(message);
     break;
 
+  case 'snapshot_unchanged':
+    handleSnapshotUnchanged(message);
+    break;
+
+  case 'snapshot_page':
+    handleSnapshotPage(message);
+    break;
+
   case 'session_closed':
     handleSessionClosed(message.sessionId);
     break;
@@ -257,8 +318,40 @@ function handleWebSocketMessage(message) {
     handleSessionUnbound(message.sessionId);
     break;
 
+  case 'session_evicted':
+    handleSessionEvicted(message.sessionId);
+    break;
+
+  case 'session_stale':
+    handleSessionStale(message.sessionId);
+    break;
+
+  case 'session_updated':
+    handleSessionUpdated(message);
+    break;
+
+  case 'host_status':
+    handleHostStatus(message);
+    break;
+
+  case 'client_response':
+    handleClientResponse(message);
+    break;
+
+  case 'debug_changed':
+    // Debug mode may also be switched by the host
+    state.debug = message.enabled;
+    if (elements.debugCheck) elements.debugCheck.checked = message.enabled;
+    break;
+
   case 'shutdown':
-    addLog('warn', 'server', 'Server is shutting down');
+    addLog(
+      'warn',
+      'server',
+      message.reason === 'idle_timeout'
+        ? 'Server is shutting down after being idle'
+        : 'Server is shutting down'
+    );
     break;
 
   case 'log':
@@ -290,7 +383,8 @@ async function handleSnapshotUpdate(message) {
       originalPath,
       outputFormat,
       lastUpdate: timestamp,
-      hasUpdate: true
+      hasUpdate: true,
+      stale: false
     };
     state.sessions.push(session);
   } else {
@@ -299,12 +393,22 @@ async function handleSnapshotUpdate(message) {
     session.outputFormat = outputFormat;
     session.lastUpdate = timestamp;
     session.hasUpdate = sessionId !== state.currentSessionId;
+    session.stale = false;
   }
 
   renderSessionList();
 
   if (sessionId === state.currentSessionId) {
-    await loadPreview(sessionId);
+    await refreshTimeline(sessionId, message);
+
+    if (state.followLive) {
+      // The frame is on screen, so the server may send the next one
+      sendWebSocketMessage({
+        type: 'frame_rendered',
+        sessionId,
+        sequenceNumber: message.sequenceNumber
+      });
+    }
   }
 
   if (!state.currentSessionId && state.sessions.length > 0) {
@@ -312,6 +416,118 @@ async function handleSnapshotUpdate(message) {
   }
 }
 
+/**
+ * Reload the preview when the page on screen arrives for a multi-page PNG snapshot
+ * @param {Object} message - snapshot_page message
+ * @returns {Promise<void>}
+ */
+async function handleSnapshotPage(message) {
+  const frame = state.timeline[state.timelineIndex];
+
+  if (
+    message.sessionId !== state.currentSessionId ||
+    !state.pagedImage ||
+    frame?.sequenceNumber !== message.sequenceNumber ||
+    message.pageIndex !== state.pdfCurrentPage - 1
+  ) {
+    return;
+  }
+
+  await loadPreview(message.sessionId, message.sequenceNumber);
+}
+
+/**
+ * Ask the host to render the current session again with different settings
+ * @param {string} choice - Re-render option: dpi:<n>, outputFormat:<format> or page
+ * @returns {void}
+ */
+function requestRerender(choice) {
+  if (!state.currentSessionId || !choice) return;
+
+  const [key, value] = choice.split(':');
+  let parameters;
+  if (key === 'dpi') {
+    parameters = { dpi: Number(value) };
+  } else if (key === 'outputFormat') {
+    parameters = { outputFormat: value };
+  } else {
+    parameters = { pageIndex: state.pdfCurrentPage - 1 };
+  }
+
+  const requestId = `req-${state.nextRequestId++}`;
+  state.clientRequests.set(requestId, choice);
+
+  sendWebSocketMessage({
+    type: 'client_request',
+    requestId,
+    sessionId: state.currentSessionId,
+    action: 'rerender',
+    parameters
+  });
+  addLog('info', 'session', `Requested re-render (${choice})`, parameters);
+}
+
+/**
+ * Show or hide the controls that send requests to the host
+ *
+ * Replays and file sessions have no host, so re-rendering is not offered there.
+ * @param {boolean} available - Whether the server forwards requests to a host
+ * @returns {void}
+ */
+function showClientRequests(available) {
+  const rerenderSelect = document.getElementById('rerender-select');
+  if (rerenderSelect) {
+    rerenderSelect.style.display = available ? '' : 'none';
+  }
+}
+
+/**
+ * Handle the host's answer to a request made from this tab
+ * @param {Object} message - Client response message
+ * @returns {void}
+ */
+function handleClientResponse(message) {
+  const choice = state.clientRequests.get(message.requestId);
+  if (!choice) return;
+
+  state.clientRequests.delete(message.requestId);
+
+  if (message.success) {
+    addLog('info', 'session', `Host accepted re-render (${choice})`);
+  } else {
+    addLog('error', 'session', `Re-render (${choice}) failed: ${message.error}`);
+  }
+}
+
+/**
+ * Handle a change in host responsiveness reported by the heartbeat watchdog
+ * @param {Object} message - Host status message
+ * @returns {void}
+ */
+function handleHostStatus(message) {
+  if (message.status === 'unresponsive') {
+    updateConnectionStatus('unresponsive');
+    addLog('warn', 'server', `Host unresponsive (${message.missedHeartbeats} missed heartbeats)`);
+  } else {
+    updateConnectionStatus('connected');
+    addLog('info', 'server', 'Host responsive again');
+  }
+}
+
+/**
+ * Handle a re-sent identical snapshot by refreshing the timestamp only
+ * @param {Object} message - Snapshot unchanged message
+ * @returns {void}
+ */
+function handleSnapshotUnchanged(message) {
+  const session = state.sessions.find((s) => s.sessionId === message.sessionId);
+  if (session) {
+    session.lastUpdate = message.timestamp;
+    session.stale = false;
+    renderSessionList();
+  }
+}
+
 /**
  * Handle session closed event and update UI
  * @param {string} sessionId - Closed session identifier
@@ -354,6 +570,78 @@ function handleSessionUnbound(sessionId) {
   addLog('info', 'session', `Session unbound: ${sessionId}`);
 }
 
+/**
+ * Handle session evicted event (memory or session limit) and update UI
+ * @param {string} sessionId - Evicted session identifier
+ * @returns {void}
+ */
+function handleSessionEvicted(sessionId) {
+  state.sessions = state.sessions.filter((s) => s.sessionId !== sessionId);
+  renderSessionList();
+
+  if (state.currentSessionId === sessionId) {
+    state.currentSessionId = null;
+    showPlaceholder();
+
+    if (state.sessions.length > 0) {
+      selectSession(state.sessions[0].sessionId);
+    }
+  }
+}
+
+/**
+ * Handle session stale event when no snapshot arrived within the TTL
+ * @param {string} sessionId - Stale session identifier
+ * @returns {void}
+ */
+function handleSessionStale(sessionId) {
+  const session = state.sessions.find((s) => s.sessionId === sessionId);
+  if (session) {
+    session.stale = true;
+    renderSessionList();
+  }
+}
+
+/**
+ * Handle session attribute changes (label, color, pinned) made from any tab
+ * @param {Object} message - Session updated message
+ * @returns {void}
+ */
+function handleSessionUpdated(message) {
+  const session = state.sessions.find((s) => s.sessionId === message.sessionId);
+  if (session) {
+    session.label = message.label;
+    session.color = message.color;
+    session.pinned = message.pinned;
+    renderSessionList();
+  }
+}
+
+/**
+ * Save label, color or pinned changes for a session
+ * @param {string} sessionId - Session identifier
+ * @param {Object} changes - Attributes to change
+ * @returns {Promise<void>}
+ */
+async function updateSessionAttributes(sessionId, changes) {
+  try {
+    const response = await fetch(`/api/sessions/${sessionId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed: ${response.status}`);
+    }
+
+    handleSessionUpdated(data);
+  } catch (err) {
+    addLog('error', 'session', `Failed to update session: ${err.message}`);
+  }
+}
+
 /**
  * Fetch active sessions from the server API
  * @returns {Promise<void>}
@@ -386,18 +674,46 @@ function renderSessionList() {
     return;
   }
 
-  elements.sessionList.innerHTML = state.sessions
+  // Pinned sessions first; Array.prototype.sort is stable so arrival order is kept otherwise
+  const sessions = [...state.sessions].sort((a, b) => Number(!!b.pinned) - Number(!!a.pinned));
+
+  elements.sessionList.innerHTML = sessions
     .map((session) => {
       const isActive = session.sessionId === state.currentSessionId;
-      const fileName = session.originalPath ? session.originalPath.split(/[/\\]/).pop() : 'Unknown';
+      const fileName = escapeHtml(
+        session.originalPath ? session.originalPath.split(/[/\\]/).pop() : 'Unknown'
+      );
+      const sessionId = escapeHtml(session.sessionId);
       const time = new Date(session.lastUpdate).toLocaleTimeString('en-US', { hour12: false });
+      const staleBadge = session.stale
+        ? '<span class="session-stale" title="No recent snapshot from the host">stale</span>'
+        : '';
+      const classes = [
+        'session-item',
+        isActive ? 'active' : '',
+        session.stale ? 'stale' : '',
+        session.pinned ? 'pinned' : '',
+        session.color ? `color-${session.color}` : ''
+      ].join(' ');
+      const colorOptions = ['', ...SESSION_COLORS]
+        .map(
+          (color) =>
+            `<option value="${color}" ${color === (session.color || '') ? 'selected' : ''}>${color || 'No color'}</option>`
+        )
+        .join('');
 
       return `
-      <li class="session-item ${isActive ? 'active' : ''}" data-session-id="${session.sessionId}">
-        <div class="session-type">${session.documentType} - ${session.outputFormat}</div>
-        <div class="session-path">${fileName}</div>
+      <li class="${classes}" data-session-id="${sessionId}">
+        <div class="session-type">${escapeHtml(session.documentType)} - ${escapeHtml(session.outputFormat)}${staleBadge}</div>
+        <div class="session-path">${session.label ? escapeHtml(session.label) : fileName}</div>
+        ${session.label ? `<div class="session-file">${fileName}</div>` : ''}
+        <div class="session-actions">
+          <button class="session-action session-pin" data-action="pin" title="${session.pinned ? 'Unpin' : 'Pin to top'}">&#9733;</button>
+          <button class="session-action" data-action="label" title="Edit label">&#9998;</button>
+          <select class="session-color-select" data-action="color" title="Color tag">${colorOptions}</select>
+        </div>
         <div class="session-meta">
-          <span class="session-id">${session.sessionId}</span>
+          <span class="session-id">${sessionId}</span>
           <span class="session-time">${time}</span>
         </div>
         ${session.hasUpdate && !isActive ? '<div class="session-update-badge"></div>' : ''}
@@ -411,6 +727,30 @@ function renderSessionList() {
       selectSession(item.dataset.sessionId);
     });
   });
+
+  elements.sessionList.querySelectorAll('[data-action]').forEach((control) => {
+    const sessionId = control.closest('.session-item').dataset.sessionId;
+    const session = state.sessions.find((s) => s.sessionId === sessionId);
+
+    control.addEventListener('click', (e) => {
+      e.stopPropagation();
+
+      if (control.dataset.action === 'pin') {
+        updateSessionAttributes(sessionId, { pinned: !session.pinned });
+      } else if (control.dataset.action === 'label') {
+        const label = window.prompt('Session label (leave empty to clear)', session.label || '');
+        if (label !== null) {
+          updateSessionAttributes(sessionId, { label: label.trim() || null });
+        }
+      }
+    });
+
+    if (control.dataset.action === 'color') {
+      control.addEventListener('change', (e) => {
+        updateSessionAttributes(sessionId, { color: e.target.value || null });
+      });
+    }
+  });
 }
 
 /**
@@ -427,34 +767,168 @@ async function selectSession(sessionId) {
   }
 
   renderSessionList();
+
+  state.followLive = true;
+  state.pdfCurrentPage = 1;
+  if (elements.timelineLiveCheck) elements.timelineLiveCheck.checked = true;
+  sendSubscription();
+  await fetchTimeline(sessionId);
+  state.timelineIndex = state.timeline.length - 1;
+  renderTimeline();
   await loadPreview(sessionId);
 }
 
+/**
+ * Fetch the snapshot history of a session for the timeline
+ * @param {string} sessionId - Session identifier
+ * @returns {Promise<void>}
+ */
+async function fetchTimeline(sessionId) {
+  try {
+    const response = await fetch(`/api/sessions/${sessionId}/snapshots`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load snapshot history: ${response.status}`);
+    }
+
+    const data = await response.json();
+    state.timeline = data.snapshots || [];
+  } catch (err) {
+    state.timeline = [];
+    addLog('error', 'session', err.message);
+  }
+}
+
+/**
+ * Refresh the timeline after a new snapshot and follow the live frame if enabled
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [update=null] - snapshot message that triggered the refresh
+ * @returns {Promise<void>}
+ */
+async function refreshTimeline(sessionId, update = null) {
+  const viewedSequence = state.timeline[state.timelineIndex]?.sequenceNumber;
+
+  await fetchTimeline(sessionId);
+
+  if (state.followLive) {
+    state.timelineIndex = state.timeline.length - 1;
+    renderTimeline();
+    if (update?.delta && (await patchPreview(sessionId, update))) return;
+    await loadPreview(sessionId);
+    return;
+  }
+
+  // Keep showing the same frame; fall back to the oldest one if it was dropped from history
+  const index = state.timeline.findIndex((frame) => frame.sequenceNumber === viewedSequence);
+  state.timelineIndex = index === -1 ? 0 : index;
+  renderTimeline();
+
+  if (index === -1 && state.timeline.length > 0) {
+    await loadPreview(sessionId, state.timeline[0].sequenceNumber);
+  }
+}
+
+/**
+ * Show a frame from the timeline by its position
+ * @param {number} index - Position in the timeline
+ * @returns {Promise<void>}
+ */
+async function showTimelineFrame(index) {
+  if (!state.currentSessionId || index < 0 || index >= state.timeline.length) return;
+
+  state.timelineIndex = index;
+
+  if (index < state.timeline.length - 1) {
+    state.followLive = false;
+    if (elements.timelineLiveCheck) elements.timelineLiveCheck.checked = false;
+    sendSubscription();
+  }
+
+  renderTimeline();
+  await loadPreview(state.currentSessionId, state.timeline[index].sequenceNumber);
+}
+
+/**
+ * Render the timeline scrubber for the current session
+ * @returns {void}
+ */
+function renderTimeline() {
+  if (!elements.timelineControls) return;
+
+  if (state.timeline.length === 0) {
+    elements.timelineControls.style.display = 'none';
+    return;
+  }
+
+  const lastIndex = state.timeline.length - 1;
+  const frame = state.timeline[state.timelineIndex];
+
+  elements.timelineControls.style.display = 'flex';
+  elements.timelineSlider.max = lastIndex;
+  elements.timelineSlider.value = state.timelineIndex;
+  elements.timelinePrev.disabled = state.timelineIndex <= 0;
+  elements.timelineNext.disabled = state.timelineIndex >= lastIndex;
+
+  if (frame) {
+    const time = new Date(frame.timestamp).toLocaleTimeString('en-US', { hour12: false });
+    const position = `${state.timelineIndex + 1} / ${state.timeline.length}`;
+    elements.timelineInfo.textContent = `#${frame.sequenceNumber} · ${time} (${position})`;
+  }
+}
+
 /**
  * Load and display preview content for a session
  * @param {string} sessionId - Session identifier
+ * @param {number} [sequenceNumber=null] - Historical frame to load instead of the latest
  * @returns {Promise<void>}
  */
-async function loadPreview(sessionId) {
+async function loadPreview(sessionId, sequenceNumber = null) {
   showLoading();
 
-  try {
-    const response = await fetch(`/api/sessions/${sessionId}/snapshot`);
+  const frame =
+    sequenceNumber === null
+      ? state.timeline[state.timeline.length - 1]
+      : state.timeline.find((f) => f.sequenceNumber === sequenceNumber);
+  const pageCount = frame?.mimeType === 'application/pdf' ? 1 : (frame?.pageCount ?? 1);
 
-    if (!response.ok) {
-      throw new Error(`Failed to load snapshot: ${response.status}`);
+  try {
+    let url =
+      sequenceNumber === null
+        ? `/api/sessions/${sessionId}/snapshot`
+        : `/api/sessions/${sessionId}/snapshots/${sequenceNumber}`;
+
+    if (pageCount > 1) {
+      // Stay on the same page across frames so live updates of a slide keep it in view
+      state.pdfCurrentPage = Math.min(state.pdfCurrentPage, pageCount);
+      url += `?page=${state.pdfCurrentPage - 1}`;
     }
 
-    const contentType = response.headers.get('Content-Type');
-    const blob = await response.blob();
+    // Let PDF.js fetch PDFs in ranges so the first page renders before the whole file arrives
+    const streamPdf = frame?.mimeType === 'application/pdf';
+    const { contentType, blob } = streamPdf
+      ? { contentType: frame.mimeType, blob: null }
+      : await fetchSnapshot(url);
 
     hideAllPreviews();
     elements.previewContent.style.display = 'flex';
     elements.previewPlaceholder.style.display = 'none';
     elements.previewError.style.display = 'none';
-
-    if (contentType.startsWith('image/')) {
-      await showImagePreview(blob);
+    state.previewFrame = null;
+
+    if (streamPdf) {
+      // The live snapshot URL changes content with every frame, which would mix bytes of two
+      // PDFs across range requests, so PDF.js gets the URL of this frame. The decoded bytes
+      // are requested because PDF.js stops using ranges for a response with Content-Encoding.
+      await showPdfPreview(
+        `/api/sessions/${sessionId}/snapshots/${frame.sequenceNumber}?encoding=identity`
+      );
+    } else if (contentType.startsWith('image/')) {
+      await showImagePreview(blob, pageCount);
+      state.previewFrame = {
+        sessionId,
+        sequenceNumber: frame?.sequenceNumber,
+        pageIndex: pageCount > 1 ? state.pdfCurrentPage - 1 : 0
+      };
     } else if (contentType === 'text/html') {
       await showHtmlPreview(blob);
     } else if (contentType === 'application/pdf') {
@@ -462,22 +936,152 @@ async function loadPreview(sessionId) {
     } else {
       throw new Error(`Unsupported content type: ${contentType}`);
     }
+
+    if (state.diffMode !== 'off') {
+      await renderDiff();
+    }
   } catch (err) {
+    if (err.status === 404 && pageCount > 1) {
+      // The page has not arrived yet; snapshot_page reloads it when it does
+      return;
+    }
     showError(err.message);
     addLog('error', 'session', `Failed to load preview: ${err.message}`);
   }
 }
 
+/**
+ * Patch the changed tiles of a delta snapshot into the image on screen
+ *
+ * Only works when the image on screen is the delta's base; otherwise the caller loads the
+ * full snapshot.
+ * @param {string} sessionId - Session identifier
+ * @param {Object} update - snapshot message carrying `delta`
+ * @returns {Promise<boolean>} Whether the preview was patched
+ */
+async function patchPreview(sessionId, update) {
+  const shown = state.previewFrame;
+  const image = elements.previewImage;
+
+  if (
+    shown?.sessionId !== sessionId ||
+    shown.sequenceNumber !== update.delta.baseSequenceNumber ||
+    shown.pageIndex !== update.pageIndex ||
+    !image.complete
+  ) {
+    return false;
+  }
+
+  try {
+    const tileUrl = `/api/sessions/${sessionId}/snapshots/${update.sequenceNumber}/tiles`;
+    const query = update.pageCount > 1 ? `?page=${update.pageIndex}` : '';
+    const bitmaps = await Promise.all(
+      update.delta.tiles.map(async (_tile, index) => {
+        const response = await fetch(`${tileUrl}/${index}${query}`);
+        if (!response.ok) {
+          throw new Error(`Failed to load tile ${index}: ${response.status}`);
+        }
+        return createImageBitmap(await response.blob());
+      })
+    );
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+
+    update.delta.tiles.forEach((tile, index) => {
+      // Tiles replace the pixels underneath, transparent ones included
+      context.clearRect(tile.x, tile.y, tile.width, tile.height);
+      context.drawImage(bitmaps[index], tile.x, tile.y);
+      bitmaps[index].close();
+    });
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('Failed to encode patched image');
+
+    await showImagePreview(blob, update.pageCount);
+    state.previewFrame = {
+      sessionId,
+      sequenceNumber: update.sequenceNumber,
+      pageIndex: update.pageIndex
+    };
+
+    if (state.diffMode !== 'off') {
+      await renderDiff();
+    }
+    return true;
+  } catch (err) {
+    addLog('warn', 'session', `Loading full snapshot instead of patching: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Fetch snapshot data, revalidating a cached copy with If-None-Match/If-Modified-Since
+ * @param {string} url - Snapshot URL
+ * @returns {Promise<{contentType: string, blob: Blob}>}
+ */
+async function fetchSnapshot(url) {
+  const cached = state.snapshotCache.get(url);
+  const headers = {};
+
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  // Bypass the HTTP cache so the 304 reaches us and the in-memory copy is reused
+  const response = await fetch(url, { headers, cache: 'no-store' });
+
+  if (response.status === 304 && cached) {
+    state.snapshotCache.delete(url);
+    state.snapshotCache.set(url, cached);
+    return cached;
+  }
+
+  if (!response.ok) {
+    const error = new Error(`Failed to load snapshot: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const entry = {
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified'),
+    contentType: response.headers.get('Content-Type'),
+    blob: await response.blob()
+  };
+
+  state.snapshotCache.delete(url);
+  state.snapshotCache.set(url, entry);
+  if (state.snapshotCache.size > SNAPSHOT_CACHE_SIZE) {
+    state.snapshotCache.delete(state.snapshotCache.keys().next().value);
+  }
+
+  return entry;
+}
+
 /**
  * Display image preview from blob data
+ *
+ * Multi-page PNG snapshots share the PDF page controls, one image per page.
  * @param {Blob} blob - Image blob data
+ * @param {number} [pageCount=1] - Number of pages in the snapshot
  * @returns {Promise<void>}
  */
-async function showImagePreview(blob) {
+async function showImagePreview(blob, pageCount = 1) {
   const url = URL.createObjectURL(blob);
   elements.previewImage.src = url;
   elements.previewImage.style.display = 'block';
-  elements.pdfControls.style.display = 'none';
+  state.pagedImage = pageCount > 1;
+
+  if (state.pagedImage) {
+    state.pdfTotalPages = pageCount;
+    elements.pdfControls.style.display = 'flex';
+    updatePdfPageInfo();
+  } else {
+    elements.pdfControls.style.display = 'none';
+  }
   applyZoom();
 }
 
@@ -491,26 +1095,37 @@ async function showHtmlPreview(blob) {
   elements.previewIframe.srcdoc = text;
   elements.previewIframe.style.display = 'block';
   elements.pdfControls.style.display = 'none';
+  state.pagedImage = false;
 }
 
 /**
- * Display PDF preview using PDF.js from blob data
- * @param {Blob} blob - PDF blob data
+ * Display PDF preview using PDF.js from blob data or a snapshot URL
+ * @param {Blob|string} source - PDF blob data, or a URL to load with HTTP range requests
  * @returns {Promise<void>}
  */
-async function showPdfPreview(blob) {
+async function showPdfPreview(source) {
   if (!pdfjsLib) {
     throw new Error('PDF.js not loaded');
   }
 
-  const arrayBuffer = await blob.arrayBuffer();
+  const params =
+    typeof source === 'string'
+      ? { url: source, rangeChunkSize: PDF_RANGE_CHUNK_SIZE, disableAutoFetch: true }
+      : { data: await source.arrayBuffer() };
+
+  if (state.pdfDocument) {
+    state.pdfDocument.destroy();
+    state.pdfDocument = null;
+  }
+
   state.pdfDocument = await pdfjsLib.getDocument({
-    data: arrayBuffer,
+    ...params,
     wasmUrl: `${PDFJS_CDN_BASE}/wasm/`,
     iccUrl: `${PDFJS_CDN_BASE}/wasm/`
   }).promise;
   state.pdfTotalPages = state.pdfDocument.numPages;
   state.pdfCurrentPage = 1;
+  state.pagedImage = false;
 
   elements.previewPdf.style.display = 'block';
   elements.pdfControls.style.display = 'flex';
@@ -574,6 +1189,24 @@ async function renderPdfPage(pageNum) {
   }
 }
 
+/**
+ * Show another page of the current PDF or multi-page PNG snapshot
+ * @param {number} pageNum - Page number to show
+ * @returns {Promise<void>}
+ */
+async function showPage(pageNum) {
+  state.pdfCurrentPage = pageNum;
+
+  if (state.pagedImage) {
+    await loadPreview(state.currentSessionId, state.timeline[state.timelineIndex].sequenceNumber);
+    return;
+  }
+
+  await renderPdfPage(pageNum);
+  updatePdfPageInfo();
+  if (state.diffMode !== 'off') await renderDiff();
+}
+
 /**
  * Update PDF page navigation info display
  * @returns {void}
@@ -584,6 +1217,278 @@ function updatePdfPageInfo() {
   elements.pdfNext.disabled = state.pdfCurrentPage >= state.pdfTotalPages;
 }
 
+/**
+ * Compare the current timeline frame with the one before it
+ * @returns {Promise<void>}
+ */
+async function renderDiff() {
+  const sessionId = state.currentSessionId;
+  const to = state.timeline[state.timelineIndex];
+  const from = state.timeline[state.timelineIndex - 1];
+
+  state.diffCanvases = null;
+  state.diffRegions = [];
+  state.diffRegionIndex = -1;
+  elements.diffNextRegion.style.display = 'none';
+
+  if (!to || !from) {
+    elements.diffSummary.textContent = 'No earlier snapshot to compare';
+    return;
+  }
+
+  if (to.mimeType === 'text/html' || from.mimeType === 'text/html') {
+    elements.diffSummary.textContent = 'Diff is not available for HTML snapshots';
+    return;
+  }
+
+  // Both frames are compared on the same page, even when their page counts differ
+  const pageIndex = Math.min(framePageIndex(from), framePageIndex(to));
+
+  try {
+    const [before, after] = await Promise.all([
+      rasterizeFrame(sessionId, from, pageIndex),
+      rasterizeFrame(sessionId, to, pageIndex)
+    ]);
+
+    if (sessionId !== state.currentSessionId) return;
+
+    const comparison = compareCanvases(before, after);
+    state.diffCanvases = { before, after, comparison };
+
+    // Changed regions come from the server, which can only decode PNG snapshots
+    const pngFrames = from.mimeType === 'image/png' && to.mimeType === 'image/png';
+    if (pngFrames) {
+      state.diffRegions = await fetchDiffRegions(sessionId, from, to, pageIndex);
+    }
+
+    const count = state.diffRegions.length;
+    if (!pngFrames) {
+      elements.diffSummary.textContent =
+        comparison.changedPixels === 0
+          ? `No changes since #${from.sequenceNumber}`
+          : `Changed since #${from.sequenceNumber}`;
+    } else {
+      elements.diffSummary.textContent =
+        count === 0
+          ? `No changes since #${from.sequenceNumber}`
+          : `${count} changed region${count === 1 ? '' : 's'} since #${from.sequenceNumber}`;
+    }
+    elements.diffNextRegion.style.display = count > 0 ? '' : 'none';
+
+    hideAllPreviews();
+    elements.previewDiff.style.display = 'flex';
+    drawDiff();
+  } catch (err) {
+    elements.diffSummary.textContent = '';
+    addLog('error', 'session', `Failed to render diff: ${err.message}`);
+  }
+}
+
+/**
+ * Fetch a historical frame and draw it onto a canvas
+ * @param {string} sessionId - Session identifier
+ * @param {Object} frame - Timeline frame metadata
+ * @param {number} pageIndex - Zero-based page of a multi-page PNG frame
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function rasterizeFrame(sessionId, frame, pageIndex) {
+  const page = frame.pageCount > 1 ? `?page=${pageIndex}` : '';
+  const { blob } = await fetchSnapshot(
+    `/api/sessions/${sessionId}/snapshots/${frame.sequenceNumber}${page}`
+  );
+  const canvas = document.createElement('canvas');
+
+  if (frame.mimeType === 'application/pdf') {
+    if (!pdfjsLib) {
+      throw new Error('PDF.js not loaded');
+    }
+
+    const pdf = await pdfjsLib.getDocument({
+      data: await blob.arrayBuffer(),
+      wasmUrl: `${PDFJS_CDN_BASE}/wasm/`,
+      iccUrl: `${PDFJS_CDN_BASE}/wasm/`
+    }).promise;
+
+    try {
+      const page = await pdf.getPage(Math.min(state.pdfCurrentPage, pdf.numPages));
+      const viewport = page.getViewport({ scale: 1 });
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    } finally {
+      pdf.destroy();
+    }
+  } else {
+    const bitmap = await createImageBitmap(blob);
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+  }
+
+  return canvas;
+}
+
+/**
+ * Get the page of a multi-page PNG frame that matches the page on screen
+ * @param {Object} frame - Timeline frame metadata
+ * @returns {number} Zero-based page index
+ */
+function framePageIndex(frame) {
+  return Math.min(state.pdfCurrentPage, frame.pageCount ?? 1) - 1;
+}
+
+/**
+ * Fetch the server-side changed-region summary for two PNG frames
+ * @param {string} sessionId - Session identifier
+ * @param {Object} from - Earlier timeline frame
+ * @param {Object} to - Later timeline frame
+ * @param {number} pageIndex - Zero-based page to compare
+ * @returns {Promise<Array<Object>>}
+ */
+async function fetchDiffRegions(sessionId, from, to, pageIndex) {
+  const response = await fetch(
+    `/api/sessions/${sessionId}/diff?from=${from.sequenceNumber}&to=${to.sequenceNumber}` +
+      `&page=${pageIndex}`
+  );
+
+  if (!response.ok) {
+    throw new Error(`Failed to load changed regions: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.regions || [];
+}
+
+/**
+ * Count the changed pixels of two canvases and build a heatmap of them
+ * @param {HTMLCanvasElement} before
+ * @param {HTMLCanvasElement} after
+ * @returns {Object}
+ */
+function compareCanvases(before, after) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+
+  const readPixels = (canvas) => {
+    const padded = document.createElement('canvas');
+    padded.width = width;
+    padded.height = height;
+    const context = padded.getContext('2d');
+    context.drawImage(canvas, 0, 0);
+    return context.getImageData(0, 0, width, height).data;
+  };
+
+  const a = readPixels(before);
+  const b = readPixels(after);
+  const heatmap = new ImageData(width, height);
+  let changedPixels = 0;
+
+  for (let i = 0; i < width * height; i++) {
+    const p = i * 4;
+    const delta = Math.max(
+      Math.abs(a[p] - b[p]),
+      Math.abs(a[p + 1] - b[p + 1]),
+      Math.abs(a[p + 2] - b[p + 2]),
+      Math.abs(a[p + 3] - b[p + 3])
+    );
+
+    if (delta > 16) {
+      changedPixels++;
+      heatmap.data[p] = 255;
+      heatmap.data[p + 1] = 255 - delta;
+      heatmap.data[p + 2] = 0;
+      heatmap.data[p + 3] = 255;
+    } else {
+      // Faded grayscale of the new frame as context for the changes
+      const gray = 200 + ((b[p] + b[p + 1] + b[p + 2]) / 3) * 0.2;
+      heatmap.data[p] = heatmap.data[p + 1] = heatmap.data[p + 2] = gray;
+      heatmap.data[p + 3] = 255;
+    }
+  }
+
+  return { width, height, changedPixels, heatmap };
+}
+
+/**
+ * Draw the current diff view and outline the changed regions
+ * @returns {void}
+ */
+function drawDiff() {
+  if (!state.diffCanvases || !elements.previewDiff) return;
+
+  const { before, after, comparison } = state.diffCanvases;
+  const beforeCanvas = elements.diffBefore;
+  const afterCanvas = elements.diffAfter;
+
+  elements.previewDiff.className = `preview-diff ${state.diffMode}`;
+  elements.previewDiff.classList.toggle('fit', state.zoom === 'fit');
+
+  if (state.diffMode === 'heatmap') {
+    beforeCanvas.style.display = 'none';
+    afterCanvas.width = comparison.width;
+    afterCanvas.height = comparison.height;
+    afterCanvas.getContext('2d').putImageData(comparison.heatmap, 0, 0);
+  } else {
+    beforeCanvas.style.display = 'block';
+    beforeCanvas.width = before.width;
+    beforeCanvas.height = before.height;
+    beforeCanvas.getContext('2d').drawImage(before, 0, 0);
+    afterCanvas.width = after.width;
+    afterCanvas.height = after.height;
+    afterCanvas.getContext('2d').drawImage(after, 0, 0);
+  }
+
+  afterCanvas.style.opacity = state.diffMode === 'onion' ? state.diffOpacity / 100 : 1;
+  elements.diffOpacity.style.display = state.diffMode === 'onion' ? '' : 'none';
+
+  const context = afterCanvas.getContext('2d');
+  state.diffRegions.forEach((region, index) => {
+    const focused = index === state.diffRegionIndex;
+    context.lineWidth = focused ? 3 : 1.5;
+    context.strokeStyle = focused ? '#0066cc' : '#dc3545';
+    context.strokeRect(region.x, region.y, region.width, region.height);
+  });
+
+  [beforeCanvas, afterCanvas].forEach((canvas) => {
+    canvas.style.width = state.zoom === 'fit' ? '' : `${(canvas.width * state.zoomValue) / 100}px`;
+  });
+}
+
+/**
+ * Highlight the next changed region and scroll it into view
+ * @returns {void}
+ */
+function focusNextDiffRegion() {
+  if (state.diffRegions.length === 0) return;
+
+  state.diffRegionIndex = (state.diffRegionIndex + 1) % state.diffRegions.length;
+  drawDiff();
+
+  const region = state.diffRegions[state.diffRegionIndex];
+  const canvas = elements.diffAfter;
+  const container = elements.previewContent;
+  const scale = canvas.clientWidth / canvas.width;
+  const canvasRect = canvas.getBoundingClientRect();
+  const containerRect = container.getBoundingClientRect();
+
+  container.scrollTo({
+    left:
+      container.scrollLeft +
+      canvasRect.left -
+      containerRect.left +
+      (region.x + region.width / 2) * scale -
+      container.clientWidth / 2,
+    top:
+      container.scrollTop +
+      canvasRect.top -
+      containerRect.top +
+      (region.y + region.height / 2) * scale -
+      container.clientHeight / 2,
+    behavior: 'smooth'
+  });
+}
+
 /**
  * Hide all preview content elements
  * @returns {void}
@@ -592,6 +1497,7 @@ function hideAllPreviews() {
   if (elements.previewImage) elements.previewImage.style.display = 'none';
   if (elements.previewIframe) elements.previewIframe.style.display = 'none';
   if (elements.previewPdf) elements.previewPdf.style.display = 'none';
+  if (elements.previewDiff) elements.previewDiff.style.display = 'none';
 }
 
 /**
@@ -604,6 +1510,9 @@ function showPlaceholder() {
   if (elements.previewPlaceholder) elements.previewPlaceholder.style.display = 'block';
   if (elements.previewError) elements.previewError.style.display = 'none';
   if (elements.pdfControls) elements.pdfControls.style.display = 'none';
+  if (elements.timelineControls) elements.timelineControls.style.display = 'none';
+  state.timeline = [];
+  state.timelineIndex = -1;
 }
 
 /**
@@ -671,6 +1580,9 @@ function updateConnectionStatus(status) {
     case 'connecting':
       text.textContent = 'Connecting...';
       break;
+    case 'unresponsive':
+      text.textContent = 'Host unresponsive';
+      break;
     }
   }
 }
@@ -734,14 +1646,18 @@ function applyLogFilter() {
 }
 
 /**
- * Escape HTML special characters to prevent XSS
+ * Escape HTML special characters to prevent XSS, quotes included so the result is safe in
+ * attribute values too
  * @param {string} text - Text to escape
  * @returns {string}
  */
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
 }
 
 /**
@@ -785,6 +1701,81 @@ function setupPanelEventListeners() {
       state.logAutoScroll = e.target.checked;
     };
   }
+
+  const timelinePrev = document.getElementById('timeline-prev');
+  if (timelinePrev) {
+    timelinePrev.onclick = () => {
+      showTimelineFrame(state.timelineIndex - 1);
+    };
+  }
+
+  const timelineNext = document.getElementById('timeline-next');
+  if (timelineNext) {
+    timelineNext.onclick = () => {
+      showTimelineFrame(state.timelineIndex + 1);
+    };
+  }
+
+  const timelineSlider = document.getElementById('timeline-slider');
+  if (timelineSlider) {
+    timelineSlider.onchange = (e) => {
+      showTimelineFrame(parseInt(e.target.value, 10));
+    };
+  }
+
+  const diffMode = document.getElementById('diff-mode');
+  if (diffMode) {
+    diffMode.onchange = async (e) => {
+      state.diffMode = e.target.value;
+      if (!state.currentSessionId) return;
+
+      if (state.diffMode === 'off') {
+        elements.diffSummary.textContent = '';
+        elements.diffOpacity.style.display = 'none';
+        elements.diffNextRegion.style.display = 'none';
+        const frame = state.timeline[state.timelineIndex];
+        await loadPreview(state.currentSessionId, frame?.sequenceNumber ?? null);
+      } else if (state.diffCanvases) {
+        drawDiff();
+      } else {
+        await renderDiff();
+      }
+    };
+  }
+
+  const diffOpacity = document.getElementById('diff-opacity');
+  if (diffOpacity) {
+    diffOpacity.oninput = (e) => {
+      state.diffOpacity = parseInt(e.target.value, 10);
+      drawDiff();
+    };
+  }
+
+  const rerenderSelect = document.getElementById('rerender-select');
+  if (rerenderSelect) {
+    rerenderSelect.onchange = (e) => {
+      requestRerender(e.target.value);
+      e.target.value = '';
+    };
+  }
+
+  const diffNextRegion = document.getElementById('diff-next-region');
+  if (diffNextRegion) {
+    diffNextRegion.onclick = () => {
+      focusNextDiffRegion();
+    };
+  }
+
+  const timelineLiveCheck = document.getElementById('timeline-live-check');
+  if (timelineLiveCheck) {
+    timelineLiveCheck.onchange = (e) => {
+      state.followLive = e.target.checked;
+      sendSubscription();
+      if (state.followLive && state.timelineIndex !== state.timeline.length - 1) {
+        showTimelineFrame(state.timeline.length - 1);
+      }
+    };
+  }
 }
 
 /**
@@ -820,6 +1811,7 @@ function setupEventListeners() {
   elements.zoomFit.addEventListener('click', () => {
     state.zoom = 'fit';
     applyZoom();
+    drawDiff();
     if (state.pdfDocument) {
       renderPdfPage(state.pdfCurrentPage);
     }
@@ -830,6 +1822,7 @@ function setupEventListeners() {
     state.zoomValue = 100;
     elements.zoomInput.value = 100;
     applyZoom();
+    drawDiff();
     if (state.pdfDocument) {
       renderPdfPage(state.pdfCurrentPage);
     }
@@ -840,6 +1833,7 @@ function setupEventListeners() {
     state.zoomValue = Math.max(10, Math.min(500, parseInt(e.target.value) || 100));
     elements.zoomInput.value = state.zoomValue;
     applyZoom();
+    drawDiff();
     if (state.pdfDocument) {
       renderPdfPage(state.pdfCurrentPage);
     }
@@ -847,24 +1841,24 @@ function setupEventListeners() {
 
   elements.pdfPrev.addEventListener('click', async () => {
     if (state.pdfCurrentPage > 1) {
-      state.pdfCurrentPage--;
-      await renderPdfPage(state.pdfCurrentPage);
-      updatePdfPageInfo();
+      await showPage(state.pdfCurrentPage - 1);
     }
   });
 
   elements.pdfNext.addEventListener('click', async () => {
     if (state.pdfCurrentPage < state.pdfTotalPages) {
-      state.pdfCurrentPage++;
-      await renderPdfPage(state.pdfCurrentPage);
-      updatePdfPageInfo();
+      await showPage(state.pdfCurrentPage + 1);
     }
   });
 
   setupPanelEventListeners();
 
   document.addEventListener('keydown', (e) => {
-    if (elements.previewPdf?.style.display !== 'none') {
+    const pdfVisible = elements.previewPdf?.style.display !== 'none';
+    const pagedVisible = state.pdfDocument || state.pagedImage;
+    const pdfDiffVisible = pagedVisible && elements.previewDiff?.style.display !== 'none';
+    const pagedImageVisible = state.pagedImage && elements.previewImage?.style.display !== 'none';
+    if (pdfVisible || pdfDiffVisible || pagedImageVisible) {
       if (e.key === 'ArrowLeft') {
         elements.pdfPrev.click();
       } else if (e.key === 'ArrowRight') {
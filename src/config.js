@@ -2,10 +2,30 @@ import minimist from 'minimist';
 
 /**
  * @typedef {Object} Config
+ * @property {string|null} command - Subcommand: `open` to preview local files, or null to serve a host
+ * @property {Array<string>} files - Files given to the `open` command
+ * @property {boolean} follow - Reload opened files when they change
  * @property {number} port - HTTP server port
  * @property {string} host - Bind host
  * @property {boolean} noOpen - Don't open browser
  * @property {string} transport - Transport mode
+ * @property {string|null} listen - Port, host:port or socket path to accept hosts on instead of stdio
+ * @property {boolean} ingest - Accept hosts on the /ingest WebSocket path instead of stdio
+ * @property {string|null} ingestToken - Bearer token hosts must present on /ingest
+ * @property {string|null} watch - Directory whose rendered files become sessions, without a host
+ * @property {string|null} record - Capture file to record the protocol traffic to
+ * @property {string|null} replay - Capture file to replay instead of serving a host
+ * @property {number} replaySpeed - Replay speed factor (0 = no delays)
+ * @property {number} historySize - Snapshot frames kept per session
+ * @property {string|null} dataDir - Directory for persisting sessions, or null to keep them in memory
+ * @property {number} maxMemoryMb - Snapshot memory budget in megabytes (0 = unlimited)
+ * @property {number} maxSessions - Maximum number of sessions kept (0 = unlimited)
+ * @property {number} snapshotTtlSeconds - Mark sessions stale after this long without a snapshot (0 = off)
+ * @property {number} idleTimeoutMinutes - Exit after this long with no sessions or clients (0 = off;
+ *   off by default with --listen, --ingest, --watch and the open command)
+ * @property {number} heartbeatIntervalSeconds - Expected time between host heartbeats (0 = no watchdog)
+ * @property {number} maxMissedHeartbeats - Missed heartbeats before the host counts as unresponsive
+ * @property {boolean} exitOnUnresponsive - Shut down when the host stops sending heartbeats
  */
 
 /**
@@ -14,8 +34,26 @@ import minimist from 'minimist';
  */
 export function loadConfig() {
   const argv = minimist(process.argv.slice(2), {
-    string: ['port', 'host', 'transport'],
-    boolean: ['no-open'],
+    string: [
+      'port',
+      'host',
+      'transport',
+      'listen',
+      'ingest-token',
+      'watch',
+      'record',
+      'replay',
+      'replay-speed',
+      'history-size',
+      'data-dir',
+      'max-memory',
+      'max-sessions',
+      'snapshot-ttl',
+      'idle-timeout',
+      'heartbeat-interval',
+      'max-missed-heartbeats'
+    ],
+    boolean: ['no-open', 'ingest', 'follow', 'exit-on-unresponsive'],
     alias: {
       p: 'port',
       h: 'host'
@@ -24,16 +62,78 @@ export function loadConfig() {
       port: undefined,
       host: undefined,
       transport: undefined,
-      'no-open': false
+      listen: undefined,
+      'ingest-token': undefined,
+      watch: undefined,
+      record: undefined,
+      replay: undefined,
+      'replay-speed': undefined,
+      'history-size': undefined,
+      'data-dir': undefined,
+      'max-memory': undefined,
+      'max-sessions': undefined,
+      'snapshot-ttl': undefined,
+      'idle-timeout': undefined,
+      'heartbeat-interval': undefined,
+      'max-missed-heartbeats': undefined,
+      'no-open': false,
+      ingest: false,
+      follow: false,
+      'exit-on-unresponsive': false
     }
   });
 
+  const listen = argv.listen ?? process.env.ASPOSE_PREVIEW_LISTEN ?? null;
+  const ingest = argv.ingest || process.env.ASPOSE_PREVIEW_INGEST === 'true';
+  const watch = argv.watch ?? process.env.ASPOSE_PREVIEW_WATCH ?? null;
+  const command = argv._[0] === 'open' ? 'open' : null;
+  // Without a host on stdio nothing ends the process, so it only exits when idle if asked to
+  const resident = Boolean(listen || ingest || watch || command);
+
   // Environment variables take precedence over defaults, CLI args take precedence over env
   const config = {
+    command,
+    files: command === 'open' ? argv._.slice(1).map(String) : [],
+    follow: argv.follow,
     port: parseInt(argv.port ?? process.env.ASPOSE_PREVIEW_PORT ?? '3000', 10),
     host: argv.host ?? process.env.ASPOSE_PREVIEW_HOST ?? 'localhost',
     noOpen: argv['no-open'] || process.env.ASPOSE_PREVIEW_NO_OPEN === 'true',
-    transport: argv.transport ?? process.env.ASPOSE_PREVIEW_TRANSPORT ?? 'stdin'
+    transport: argv.transport ?? process.env.ASPOSE_PREVIEW_TRANSPORT ?? 'stdin',
+    listen,
+    ingest,
+    ingestToken: argv['ingest-token'] ?? process.env.ASPOSE_PREVIEW_INGEST_TOKEN ?? null,
+    watch,
+    record: argv.record ?? process.env.ASPOSE_PREVIEW_RECORD ?? null,
+    replay: argv.replay ?? process.env.ASPOSE_PREVIEW_REPLAY ?? null,
+    replaySpeed: parseFloat(argv['replay-speed'] ?? process.env.ASPOSE_PREVIEW_REPLAY_SPEED ?? '1'),
+    historySize: parseInt(
+      argv['history-size'] ?? process.env.ASPOSE_PREVIEW_HISTORY_SIZE ?? '20',
+      10
+    ),
+    dataDir: argv['data-dir'] ?? process.env.ASPOSE_PREVIEW_DATA_DIR ?? null,
+    maxMemoryMb: parseInt(argv['max-memory'] ?? process.env.ASPOSE_PREVIEW_MAX_MEMORY ?? '512', 10),
+    maxSessions: parseInt(
+      argv['max-sessions'] ?? process.env.ASPOSE_PREVIEW_MAX_SESSIONS ?? '50',
+      10
+    ),
+    snapshotTtlSeconds: parseInt(
+      argv['snapshot-ttl'] ?? process.env.ASPOSE_PREVIEW_SNAPSHOT_TTL ?? '30',
+      10
+    ),
+    idleTimeoutMinutes: parseInt(
+      argv['idle-timeout'] ?? process.env.ASPOSE_PREVIEW_IDLE_TIMEOUT ?? (resident ? '0' : '30'),
+      10
+    ),
+    heartbeatIntervalSeconds: parseInt(
+      argv['heartbeat-interval'] ?? process.env.ASPOSE_PREVIEW_HEARTBEAT_INTERVAL ?? '10',
+      10
+    ),
+    maxMissedHeartbeats: parseInt(
+      argv['max-missed-heartbeats'] ?? process.env.ASPOSE_PREVIEW_MAX_MISSED_HEARTBEATS ?? '3',
+      10
+    ),
+    exitOnUnresponsive:
+      argv['exit-on-unresponsive'] || process.env.ASPOSE_PREVIEW_EXIT_ON_UNRESPONSIVE === 'true'
   };
 
   return config;
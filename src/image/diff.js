@@ -0,0 +1,169 @@
+import { decodePng } from './png.js';
+import { runImageTask } from './worker-client.js';
+
+const DEFAULT_TILE_SIZE = 16;
+const DEFAULT_THRESHOLD = 16;
+
+/**
+ * @typedef {Object} ChangedRegion
+ * @property {number} x - Left edge in pixels
+ * @property {number} y - Top edge in pixels
+ * @property {number} width - Region width in pixels
+ * @property {number} height - Region height in pixels
+ */
+
+/**
+ * @typedef {Object} DiffSummary
+ * @property {number} width - Compared width (largest of both images)
+ * @property {number} height - Compared height (largest of both images)
+ * @property {boolean} sizeChanged - Whether the image dimensions differ
+ * @property {number} changedPixels - Number of pixels that differ
+ * @property {number} changedRatio - Fraction of pixels that differ (0-1)
+ * @property {Array<ChangedRegion>} regions - Bounding boxes of changed areas, largest first
+ */
+
+/**
+ * Compare two decoded RGBA images and summarize the areas that changed
+ * @param {import('./png.js').DecodedImage} before
+ * @param {import('./png.js').DecodedImage} after
+ * @param {Object} [options]
+ * @param {number} [options.tileSize=16] - Grid cell size used to group changed pixels
+ * @param {number} [options.threshold=16] - Minimum per-channel difference counted as a change
+ * @returns {DiffSummary}
+ */
+export function diffImages(before, after, options = {}) {
+  const tileSize = options.tileSize ?? DEFAULT_TILE_SIZE;
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const cols = Math.ceil(width / tileSize);
+  const rows = Math.ceil(height / tileSize);
+  const tiles = new Uint8Array(cols * rows);
+
+  let changedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixelChanged(before, after, x, y, threshold)) {
+        changedPixels++;
+        tiles[Math.floor(y / tileSize) * cols + Math.floor(x / tileSize)] = 1;
+      }
+    }
+  }
+
+  const regions = groupTiles(tiles, cols, rows).map((box) => ({
+    x: box.x * tileSize,
+    y: box.y * tileSize,
+    width: Math.min(box.width * tileSize, width - box.x * tileSize),
+    height: Math.min(box.height * tileSize, height - box.y * tileSize)
+  }));
+  regions.sort((a, b) => b.width * b.height - a.width * a.height);
+
+  return {
+    width,
+    height,
+    sizeChanged: before.width !== after.width || before.height !== after.height,
+    changedPixels,
+    changedRatio: width * height > 0 ? changedPixels / (width * height) : 0,
+    regions
+  };
+}
+
+/**
+ * Compare two PNG images and summarize the areas that changed
+ * @param {Buffer} before - PNG file contents
+ * @param {Buffer} after - PNG file contents
+ * @returns {DiffSummary}
+ */
+export function diffPngs(before, after) {
+  return diffImages(decodePng(before), decodePng(after));
+}
+
+/**
+ * Compare two PNG images on the image worker, so large renders do not hold up the event loop
+ * @param {Buffer} before - PNG file contents
+ * @param {Buffer} after - PNG file contents
+ * @returns {Promise<DiffSummary>}
+ */
+export function diffPngsInWorker(before, after) {
+  return runImageTask('diff', { before, after });
+}
+
+/**
+ * Check whether the pixel at (x, y) differs between two images
+ * @param {import('./png.js').DecodedImage} a
+ * @param {import('./png.js').DecodedImage} b
+ * @param {number} x
+ * @param {number} y
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function pixelChanged(a, b, x, y, threshold) {
+  const inA = x < a.width && y < a.height;
+  const inB = x < b.width && y < b.height;
+  if (inA !== inB) return true;
+
+  const ia = (y * a.width + x) * 4;
+  const ib = (y * b.width + x) * 4;
+
+  for (let c = 0; c < 4; c++) {
+    if (Math.abs(a.pixels[ia + c] - b.pixels[ib + c]) > threshold) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Merge 8-connected changed tiles into bounding boxes (in tile units)
+ * @param {Uint8Array} tiles - 1 for changed tiles
+ * @param {number} cols
+ * @param {number} rows
+ * @returns {Array<ChangedRegion>}
+ */
+function groupTiles(tiles, cols, rows) {
+  const boxes = [];
+  const stack = [];
+
+  for (let start = 0; start < tiles.length; start++) {
+    if (tiles[start] !== 1) continue;
+
+    let minX = cols;
+    let minY = rows;
+    let maxX = -1;
+    let maxY = -1;
+
+    tiles[start] = 2;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const tx = index % cols;
+      const ty = Math.floor(index / cols);
+
+      minX = Math.min(minX, tx);
+      minY = Math.min(minY, ty);
+      maxX = Math.max(maxX, tx);
+      maxY = Math.max(maxY, ty);
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = tx + dx;
+          const ny = ty + dy;
+          if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+
+          const neighbor = ny * cols + nx;
+          if (tiles[neighbor] === 1) {
+            tiles[neighbor] = 2;
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+
+    boxes.push({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 });
+  }
+
+  return boxes;
+}
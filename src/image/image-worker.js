@@ -0,0 +1,34 @@
+import { parentPort } from 'worker_threads';
+import { compositeTiles } from './tiles.js';
+import { diffPngs } from './diff.js';
+
+/**
+ * Image tasks run off the main thread, by name
+ *
+ * Buffers arrive as plain Uint8Arrays after structured cloning, so they are wrapped again.
+ */
+const TASKS = {
+  composite: ({ base, tiles }) =>
+    compositeTiles(
+      toBuffer(base),
+      tiles.map((tile) => ({ ...tile, data: toBuffer(tile.data) }))
+    ),
+  diff: ({ before, after }) => diffPngs(toBuffer(before), toBuffer(after))
+};
+
+parentPort.on('message', ({ id, task, args }) => {
+  try {
+    parentPort.postMessage({ id, result: TASKS[task](args) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
+
+/**
+ * View a structured-cloned Uint8Array as a Buffer without copying
+ * @param {Uint8Array} bytes
+ * @returns {Buffer}
+ */
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
@@ -0,0 +1,381 @@
+import { deflateSync, inflateSync } from 'zlib';
+import { calculateCRC32 } from '../crc32.js';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CHANNELS = {
+  0: 1, // Grayscale
+  2: 3, // RGB
+  3: 1, // Palette
+  4: 2, // Grayscale + alpha
+  6: 4 // RGBA
+};
+
+/**
+ * @typedef {Object} DecodedImage
+ * @property {number} width - Image width in pixels
+ * @property {number} height - Image height in pixels
+ * @property {number} [bitDepth=8] - Bits per sample of the pixel data, 8 or 16
+ * @property {Uint8Array} pixels - RGBA pixel data, 4 samples per pixel; 16-bit samples are
+ *   stored big-endian in two bytes
+ */
+
+/**
+ * @typedef {Object} PngChunk
+ * @property {string} type - Four-letter chunk type
+ * @property {Buffer} data - Chunk data
+ */
+
+/**
+ * @typedef {Object} AncillaryChunks
+ * @property {Array<PngChunk>} before - Chunks that precede the image data
+ * @property {Array<PngChunk>} after - Chunks that follow the image data
+ */
+
+/** Largest image decoded, in pixels; a crafted header must not trigger a huge allocation */
+export const MAX_PNG_PIXELS = 64 * 1024 * 1024;
+
+/** Chunks tied to the pixel format or data, which do not carry over to a re-encoded image */
+const PIXEL_CHUNKS = new Set(['IHDR', 'PLTE', 'tRNS', 'sBIT', 'bKGD', 'hIST', 'IDAT', 'IEND']);
+
+const NO_ANCILLARY_CHUNKS = { before: [], after: [] };
+
+/**
+ * Check whether a buffer starts with the PNG signature
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+export function isPng(data) {
+  return data.length >= PNG_SIGNATURE.length && data.subarray(0, 8).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Split a PNG file into its chunks, up to and including IEND
+ * @param {Buffer} data - PNG file contents
+ * @returns {Array<PngChunk>}
+ */
+function readChunks(data) {
+  if (!isPng(data)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const chunks = [];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset + 8 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('ascii', offset + 4, offset + 8);
+    chunks.push({ type, data: data.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+
+    if (type === 'IEND') break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Read the IHDR fields of a PNG image
+ * @param {Buffer} data - PNG file contents
+ * @returns {{width: number, height: number, bitDepth: number, colorType: number, interlace: number}}
+ */
+export function readPngHeader(data) {
+  const chunk = readChunks(data).find((entry) => entry.type === 'IHDR');
+  if (!chunk) {
+    throw new Error('PNG is missing IHDR chunk');
+  }
+
+  return {
+    width: chunk.data.readUInt32BE(0),
+    height: chunk.data.readUInt32BE(4),
+    bitDepth: chunk.data[8],
+    colorType: chunk.data[9],
+    interlace: chunk.data[12]
+  };
+}
+
+/**
+ * Get the chunks of a PNG image that survive re-encoding its pixels, such as gAMA, iCCP,
+ * pHYs and text
+ * @param {Buffer} data - PNG file contents
+ * @returns {AncillaryChunks}
+ */
+export function getAncillaryChunks(data) {
+  const chunks = { before: [], after: [] };
+  let afterImage = false;
+
+  for (const chunk of readChunks(data)) {
+    if (chunk.type === 'IDAT') afterImage = true;
+    if (PIXEL_CHUNKS.has(chunk.type)) continue;
+
+    (afterImage ? chunks.after : chunks.before).push(chunk);
+  }
+
+  return chunks;
+}
+
+/**
+ * Decode a non-interlaced PNG image into RGBA pixels
+ * @param {Buffer} data - PNG file contents
+ * @param {number} [depth=8] - Bits per sample of the decoded pixels, 8 or 16
+ * @returns {DecodedImage}
+ */
+export function decodePng(data, depth = 8) {
+  const header = readPngHeader(data);
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  for (const chunk of readChunks(data)) {
+    if (chunk.type === 'PLTE') {
+      palette = chunk.data;
+    } else if (chunk.type === 'tRNS') {
+      transparency = chunk.data;
+    } else if (chunk.type === 'IDAT') {
+      idat.push(chunk.data);
+    }
+  }
+
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type: ${colorType}`);
+  }
+  if (interlace !== 0) {
+    throw new Error('Interlaced PNG images are not supported');
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('PNG is missing PLTE chunk');
+  }
+  if (width < 1 || height < 1 || width * height > MAX_PNG_PIXELS) {
+    throw new Error(`PNG size ${width}x${height} exceeds the limit of ${MAX_PNG_PIXELS} pixels`);
+  }
+
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  let raw;
+  try {
+    // The scanlines fill exactly this much, so anything inflating past it is not a valid image
+    raw = inflateSync(Buffer.concat(idat), { maxOutputLength: height * (stride + 1) });
+  } catch (err) {
+    if (err.code !== 'ERR_BUFFER_TOO_LARGE') throw err;
+    throw new Error('PNG image data is larger than its header allows', { cause: err });
+  }
+
+  if (raw.length < height * (stride + 1)) {
+    throw new Error('PNG image data is truncated');
+  }
+
+  const pixels = new Uint8Array(width * height * 4 * (depth / 8));
+  let previous = new Uint8Array(stride);
+  let current = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (stride + 1);
+    const filtered = raw.subarray(rowStart + 1, rowStart + 1 + stride);
+    unfilterRow(raw[rowStart], filtered, previous, current, bytesPerPixel);
+
+    for (let x = 0; x < width; x++) {
+      writePixel(
+        pixels,
+        (y * width + x) * 4,
+        current,
+        x,
+        header,
+        channels,
+        palette,
+        transparency,
+        depth
+      );
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  return { width, height, bitDepth: depth, pixels };
+}
+
+/**
+ * Encode RGBA pixels as an RGBA PNG image
+ * @param {DecodedImage} image
+ * @param {AncillaryChunks} [ancillary] - Chunks to write around the image data
+ * @returns {Buffer}
+ */
+export function encodePng(image, ancillary = NO_ANCILLARY_CHUNKS) {
+  const { width, height, pixels, bitDepth = 8 } = image;
+  const stride = width * 4 * (bitDepth / 8);
+  // Each scanline is prefixed with filter type 0 (None)
+  const raw = Buffer.alloc(height * (stride + 1));
+
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth;
+  header[9] = 6; // RGBA
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    ...ancillary.before.map((chunk) => createChunk(chunk.type, chunk.data)),
+    createChunk('IDAT', deflateSync(raw)),
+    ...ancillary.after.map((chunk) => createChunk(chunk.type, chunk.data)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Build a PNG chunk with its length and CRC
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer}
+ */
+function createChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(calculateCRC32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Reverse the PNG scanline filter into the output row
+ * @param {number} filter - Filter type byte
+ * @param {Uint8Array} row - Filtered scanline
+ * @param {Uint8Array} previous - Previous unfiltered scanline
+ * @param {Uint8Array} out - Destination for the unfiltered scanline
+ * @param {number} bpp - Bytes per complete pixel
+ * @returns {void}
+ */
+function unfilterRow(filter, row, previous, out, bpp) {
+  for (let i = 0; i < row.length; i++) {
+    const left = i >= bpp ? out[i - bpp] : 0;
+    const up = previous[i];
+    const upLeft = i >= bpp ? previous[i - bpp] : 0;
+
+    if (filter === 0) {
+      out[i] = row[i];
+    } else if (filter === 1) {
+      out[i] = row[i] + left;
+    } else if (filter === 2) {
+      out[i] = row[i] + up;
+    } else if (filter === 3) {
+      out[i] = row[i] + ((left + up) >> 1);
+    } else if (filter === 4) {
+      out[i] = row[i] + paeth(left, up, upLeft);
+    } else {
+      throw new Error(`Unknown PNG filter type: ${filter}`);
+    }
+  }
+}
+
+/**
+ * Paeth predictor used by PNG filter type 4
+ * @param {number} a - Left
+ * @param {number} b - Up
+ * @param {number} c - Upper left
+ * @returns {number}
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  if (pb <= pc) return b;
+  return c;
+}
+
+/**
+ * Read one sample from an unfiltered scanline
+ * @param {Uint8Array} row - Unfiltered scanline
+ * @param {number} index - Sample index within the row
+ * @param {number} bitDepth - Bits per sample
+ * @returns {number}
+ */
+function readSample(row, index, bitDepth) {
+  if (bitDepth === 8) return row[index];
+  if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+
+  const bitOffset = index * bitDepth;
+  return (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+}
+
+/**
+ * Scale a sample to another bit depth
+ * @param {number} value - Sample value
+ * @param {number} bitDepth - Bits per sample of the value
+ * @param {number} depth - Bits per sample to scale to, 8 or 16
+ * @returns {number}
+ */
+function scaleSample(value, bitDepth, depth) {
+  if (bitDepth === depth) return value;
+  if (bitDepth === 16) return value >> 8;
+  return Math.round((value * ((1 << depth) - 1)) / ((1 << bitDepth) - 1));
+}
+
+/**
+ * Store an RGBA pixel
+ * @param {Uint8Array} pixels - Destination RGBA buffer
+ * @param {number} index - Index of the pixel's first sample
+ * @param {number} depth - Bits per sample, 8 or 16
+ * @param {Array<number>} samples - Red, green, blue and alpha
+ * @returns {void}
+ */
+function putPixel(pixels, index, depth, samples) {
+  for (let i = 0; i < 4; i++) {
+    if (depth === 8) {
+      pixels[index + i] = samples[i];
+    } else {
+      pixels[(index + i) * 2] = samples[i] >> 8;
+      pixels[(index + i) * 2 + 1] = samples[i] & 0xff;
+    }
+  }
+}
+
+/**
+ * Convert the pixel at column x of a scanline to RGBA
+ * @param {Uint8Array} pixels - Destination RGBA buffer
+ * @param {number} index - Index of the destination pixel's first sample
+ * @param {Uint8Array} row - Unfiltered scanline
+ * @param {number} x - Column
+ * @param {Object} header - Parsed IHDR fields
+ * @param {number} channels - Samples per pixel
+ * @param {Buffer|null} palette - PLTE chunk
+ * @param {Buffer|null} transparency - tRNS chunk
+ * @param {number} depth - Bits per sample of the destination, 8 or 16
+ * @returns {void}
+ */
+function writePixel(pixels, index, row, x, header, channels, palette, transparency, depth) {
+  const { bitDepth, colorType } = header;
+  const base = x * channels;
+  const opaque = (1 << depth) - 1;
+  const sample = (offset) => scaleSample(readSample(row, base + offset, bitDepth), bitDepth, depth);
+
+  if (colorType === 0) {
+    const gray = sample(0);
+    putPixel(pixels, index, depth, [gray, gray, gray, opaque]);
+  } else if (colorType === 2) {
+    putPixel(pixels, index, depth, [sample(0), sample(1), sample(2), opaque]);
+  } else if (colorType === 3) {
+    const entry = readSample(row, base, bitDepth);
+    const alpha = transparency && entry < transparency.length ? transparency[entry] : 255;
+    putPixel(pixels, index, depth, [
+      scaleSample(palette[entry * 3] ?? 0, 8, depth),
+      scaleSample(palette[entry * 3 + 1] ?? 0, 8, depth),
+      scaleSample(palette[entry * 3 + 2] ?? 0, 8, depth),
+      scaleSample(alpha, 8, depth)
+    ]);
+  } else if (colorType === 4) {
+    const gray = sample(0);
+    putPixel(pixels, index, depth, [gray, gray, gray, sample(1)]);
+  } else if (colorType === 6) {
+    putPixel(pixels, index, depth, [sample(0), sample(1), sample(2), sample(3)]);
+  }
+}
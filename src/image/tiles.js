@@ -0,0 +1,94 @@
+import { decodePng, encodePng, getAncillaryChunks, readPngHeader } from './png.js';
+import { runImageTask } from './worker-client.js';
+
+/**
+ * @typedef {Object} Tile
+ * @property {number} x - Left edge in the full image
+ * @property {number} y - Top edge in the full image
+ * @property {number} width - Tile width in pixels
+ * @property {number} height - Tile height in pixels
+ * @property {Buffer} data - PNG image of the tile
+ */
+
+/**
+ * Split the payload of a delta snapshot into its tiles
+ *
+ * Each entry of `delta.tiles` gives the tile rectangle plus the `offset` and `length`
+ * of its PNG image within the payload.
+ * @param {Object} delta - `delta` field of the snapshot metadata
+ * @param {Buffer} payload - Concatenated tile images
+ * @returns {Array<Tile>}
+ */
+export function parseTiles(delta, payload) {
+  if (!Array.isArray(delta.tiles) || delta.tiles.length === 0) {
+    throw new Error('delta.tiles must be a non-empty array');
+  }
+
+  return delta.tiles.map((tile, index) => {
+    const { x, y, width, height, offset, length } = tile;
+    const fields = [x, y, offset, length];
+
+    if (!fields.every((value) => Number.isInteger(value) && value >= 0)) {
+      throw new Error(`Tile ${index}: x, y, offset and length must be non-negative integers`);
+    }
+    if (!Number.isInteger(width) || width < 1 || !Number.isInteger(height) || height < 1) {
+      throw new Error(`Tile ${index}: width and height must be positive integers`);
+    }
+    if (offset + length > payload.length) {
+      throw new Error(`Tile ${index}: data exceeds the payload`);
+    }
+
+    return { x, y, width, height, data: payload.subarray(offset, offset + length) };
+  });
+}
+
+/**
+ * Paint tiles over a PNG image
+ *
+ * The result keeps the bit depth of the base (8 or 16 bits per sample) and its chunks
+ * that do not depend on the pixel format, such as gAMA, iCCP and pHYs.
+ * @param {Buffer} base - PNG image the tiles were cut from
+ * @param {Array<Tile>} tiles - Changed rectangles
+ * @returns {Buffer} The patched image as PNG
+ */
+export function compositeTiles(base, tiles) {
+  const depth = readPngHeader(base).bitDepth === 16 ? 16 : 8;
+  const bytesPerPixel = (4 * depth) / 8;
+  const image = decodePng(base, depth);
+
+  tiles.forEach((tile, index) => {
+    const patch = decodePng(tile.data, depth);
+
+    if (patch.width !== tile.width || patch.height !== tile.height) {
+      throw new Error(
+        `Tile ${index}: image is ${patch.width}x${patch.height}, expected ${tile.width}x${tile.height}`
+      );
+    }
+    if (tile.x + tile.width > image.width || tile.y + tile.height > image.height) {
+      throw new Error(
+        `Tile ${index}: rectangle lies outside the ${image.width}x${image.height} image`
+      );
+    }
+
+    const rowBytes = tile.width * bytesPerPixel;
+    for (let row = 0; row < tile.height; row++) {
+      const source = row * rowBytes;
+      const target = ((tile.y + row) * image.width + tile.x) * bytesPerPixel;
+      image.pixels.set(patch.pixels.subarray(source, source + rowBytes), target);
+    }
+  });
+
+  return encodePng(image, getAncillaryChunks(base));
+}
+
+/**
+ * Paint tiles over a PNG image on the image worker, so decoding and re-encoding a large
+ * image does not hold up the event loop
+ * @param {Buffer} base - PNG image the tiles were cut from
+ * @param {Array<Tile>} tiles - Changed rectangles
+ * @returns {Promise<Buffer>} The patched image as PNG
+ */
+export async function compositeTilesInWorker(base, tiles) {
+  const image = await runImageTask('composite', { base, tiles });
+  return Buffer.from(image.buffer, image.byteOffset, image.byteLength);
+}
@@ -0,0 +1,73 @@
+import { Worker } from 'worker_threads';
+
+/** @type {Worker|null} Image worker, started on first use */
+let worker = null;
+/** @type {Map<number, {resolve: Function, reject: Function}>} Requests awaiting the worker */
+const pending = new Map();
+let nextRequestId = 1;
+
+/**
+ * Fail every request waiting on a worker that stopped, so the next request starts a new one
+ * @param {Worker} stopped
+ * @param {Error} err
+ * @returns {void}
+ */
+function resetWorker(stopped, err) {
+  // Both 'error' and 'exit' fire for a crash; only the first one still owns the requests
+  if (worker !== stopped) return;
+
+  worker = null;
+  for (const { reject } of pending.values()) {
+    reject(err);
+  }
+  pending.clear();
+}
+
+/**
+ * Start the image worker if it is not running
+ * @returns {Worker}
+ */
+function getWorker() {
+  if (worker) return worker;
+
+  const current = new Worker(new URL('./image-worker.js', import.meta.url));
+  worker = current;
+
+  current.on('message', ({ id, result, error }) => {
+    const request = pending.get(id);
+    if (!request) return;
+
+    pending.delete(id);
+    if (pending.size === 0) current.unref();
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  });
+  current.on('error', (err) => resetWorker(current, err));
+  current.on('exit', (code) => {
+    resetWorker(current, new Error(`Image worker exited with code ${code}`));
+  });
+
+  return current;
+}
+
+/**
+ * Run a CPU-heavy image task on the worker thread
+ *
+ * Arguments and results are structured-cloned, so Buffers arrive as plain Uint8Arrays.
+ * @param {string} task - Task name handled by image-worker.js
+ * @param {Object} args - Task arguments
+ * @returns {Promise<any>} The task result
+ */
+export function runImageTask(task, args) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    const current = getWorker();
+    pending.set(id, { resolve, reject });
+    // Only a worker with requests in flight keeps the process alive
+    current.ref();
+    current.postMessage({ id, task, args });
+  });
+}
@@ -1,9 +1,27 @@
 import { loadConfig } from './config.js';
 import { initLogger, info, error, createLogger, isDebugEnabled } from './logger.js';
 import { createServer, startServer, stopServer } from './server/fastify.js';
-import { initWebSocket, broadcast, closeAllConnections } from './server/websocket.js';
+import {
+  initWebSocket,
+  broadcast,
+  closeAllConnections,
+  getClientCount,
+  getViewerCount
+} from './server/websocket.js';
 import { createProtocolParser } from './protocol/parser.js';
-import { sessionStore } from './session/store.js';
+import { sessionStore, getFramePage } from './session/store.js';
+import { createSessionPersistence } from './session/persistence.js';
+import { createLifecycleMonitor } from './session/lifecycle.js';
+import { createFrameScheduler } from './session/backpressure.js';
+import { sendClientRequest, sendFlowControl, setOutput } from './protocol/ack.js';
+import {
+  createSocketListener,
+  formatListenAddress,
+  parseListenAddress
+} from './protocol/transport/socket.js';
+import { createClientRequestBroker } from './server/client-requests.js';
+import { createFileWatcher } from './watch.js';
+import { createCaptureRecorder, loadCapture } from './protocol/capture.js';
 import { openBrowser } from './browser.js';
 
 const log = createLogger('main');
@@ -15,43 +33,174 @@ const log = createLogger('main');
 export async function main() {
   const config = loadConfig();
 
+  if (config.command === 'open' && config.files.length === 0) {
+    throw new Error('Usage: aspose-mcp-preview open <file>... [--follow]');
+  }
+
   initLogger(false);
   info('Starting aspose-mcp-preview...');
 
+  sessionStore.configure({
+    historySize: config.historySize,
+    maxBytes: config.maxMemoryMb * 1024 * 1024,
+    maxSessions: config.maxSessions
+  });
+
+  if (config.dataDir) {
+    sessionStore.attachPersistence(createSessionPersistence(config.dataDir));
+    try {
+      await sessionStore.restore();
+    } catch (err) {
+      error(`Failed to restore sessions from ${config.dataDir}:`, err);
+    }
+  }
+
+  const recorder = config.record ? createCaptureRecorder(config.record) : null;
+  const capture = config.replay ? await loadCapture(config.replay) : null;
+
   let server = null;
   let serverStarted = false;
+  /** @type {Object|null} Socket listener hosts connect to with --listen */
+  let listener = null;
+  const url = `http://${config.host}:${config.port}`;
 
-  const parser = createProtocolParser({
-    transport: config.transport,
-    onSnapshot: (metadata, data) => {
-      log.debug(`Received snapshot for session ${metadata.sessionId}`);
-      sessionStore.updateSnapshot(metadata.sessionId, metadata, data);
+  /** @type {Object|null} Connection and input of the host the parser currently reads from */
+  let activeHost = null;
+  /** Whether a host sends the snapshots, now or once it connects */
+  const hostDriven = !capture && (!standalone || Boolean(config.listen || config.ingest));
 
+  const lifecycle = createLifecycleMonitor({
+    snapshotTtlSeconds: config.snapshotTtlSeconds,
+    idleTimeoutMinutes: config.idleTimeoutMinutes,
+    heartbeatIntervalSeconds: config.heartbeatIntervalSeconds,
+    maxMissedHeartbeats: config.maxMissedHeartbeats,
+    getClientCount,
+    onSessionsStale: (sessionIds) => {
+      for (const sessionId of sessionIds) {
+        broadcast({
+          type: 'session_stale',
+          sessionId
+        });
+      }
       broadcast({
-        type: 'snapshot',
-        sessionId: metadata.sessionId,
-        documentType: metadata.documentType,
-        originalPath: metadata.originalPath,
-        outputFormat: metadata.outputFormat,
-        timestamp: metadata.timestamp
+        type: 'log',
+        level: 'info',
+        category: 'session',
+        message: `${sessionIds.length} session(s) marked stale, no snapshot within the TTL`,
+        timestamp: new Date().toISOString(),
+        data: { sessionIds }
+      });
+    },
+    onIdle: async () => {
+      info('Idle timeout reached, shutting down...');
+      broadcast({
+        type: 'shutdown',
+        reason: 'idle_timeout'
       });
+      await shutdown(server, listener);
+    },
+    onHostUnresponsive: async (missedHeartbeats) => {
+      const sessionIds = sessionStore.markAllStale();
 
+      broadcast({
+        type: 'host_status',
+        status: 'unresponsive',
+        missedHeartbeats
+      });
+      for (const sessionId of sessionIds) {
+        broadcast({
+          type: 'session_stale',
+          sessionId
+        });
+      }
+      broadcast({
+        type: 'log',
+        level: 'warn',
+        category: 'protocol',
+        message: `Host missed ${missedHeartbeats} heartbeats and is unresponsive`,
+        timestamp: new Date().toISOString(),
+        data: { missedHeartbeats, sessionIds }
+      });
+
+      if (config.exitOnUnresponsive) {
+        info('Host unresponsive, shutting down...');
+        broadcast({
+          type: 'shutdown',
+          reason: 'host_unresponsive'
+        });
+        await shutdown(server, listener);
+      }
+    },
+    onHostRecovered: () => {
+      broadcast({
+        type: 'host_status',
+        status: 'responsive'
+      });
       broadcast({
         type: 'log',
         level: 'info',
         category: 'protocol',
-        message: `Received snapshot for session ${metadata.sessionId}`,
-        sessionId: metadata.sessionId,
+        message: 'Host heartbeats resumed',
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+
+  const scheduler = createFrameScheduler({
+    getViewerCount,
+    deliver: publishSnapshot,
+    store: storeSnapshot,
+    onRateChange: (frameIntervalMs) => {
+      sendFlowControl(frameIntervalMs);
+      broadcast({
+        type: 'log',
+        level: 'info',
+        category: 'protocol',
+        message: `Clients render one frame every ${frameIntervalMs}ms, reported to host`,
         timestamp: new Date().toISOString(),
-        data: {
-          documentType: metadata.documentType,
-          outputFormat: metadata.outputFormat,
-          sequenceNumber: metadata.sequenceNumber
-        }
+        data: { frameIntervalMs }
       });
+    }
+  });
+
+  const clientRequests = createClientRequestBroker({
+    hasSession: (sessionId) => sessionStore.getSession(sessionId) !== undefined,
+    // On stdin the host is the parent process; the socket paths wait for one to connect
+    hasHost: () => (config.listen || config.ingest ? activeHost !== null : hostDriven),
+    sendToHost: (request) => {
+      sendClientRequest(request);
+      broadcast({
+        type: 'log',
+        level: 'info',
+        category: 'protocol',
+        message: `Asked host to ${request.action} session ${request.sessionId}`,
+        sessionId: request.sessionId,
+        timestamp: new Date().toISOString(),
+        data: request.parameters
+      });
+    }
+  });
+
+  const parser = createProtocolParser({
+    transport: config.transport,
+    // A compressed snapshot must not decode to more than the whole memory budget
+    maxDecodedBytes: config.maxMemoryMb > 0 ? config.maxMemoryMb * 1024 * 1024 : undefined,
+    onSnapshot: (metadata, data, encoded, tiles) => {
+      log.debug(`Received snapshot for session ${metadata.sessionId}`);
+      return scheduler.submit(metadata, data, encoded, tiles);
+    },
+    getDeltaBase: ({ sessionId, pageIndex = 0, delta }) => {
+      const pending = scheduler.findPending(sessionId, delta.baseSequenceNumber, pageIndex);
+      if (pending) return pending.data;
+
+      const frame = sessionStore.getFrame(sessionId, delta.baseSequenceNumber);
+      return (frame && getFramePage(frame, pageIndex)?.data) || null;
     },
+    readExternalPayload: capture?.readPayload,
+    onExternalPayload: recorder?.payload,
     onHeartbeat: () => {
       log.debug('Received heartbeat');
+      lifecycle.heartbeat();
       if (isDebugEnabled()) {
         broadcast({
           type: 'log',
@@ -64,6 +213,7 @@ export async function main() {
     },
     onSessionClosed: (sessionId) => {
       log.debug(`Session closed: ${sessionId}`);
+      scheduler.forget(sessionId);
       sessionStore.removeSession(sessionId);
       broadcast({
         type: 'session_closed',
@@ -72,43 +222,67 @@ export async function main() {
     },
     onSessionUnbound: (sessionId) => {
       log.debug(`Session unbound: ${sessionId}`);
+      scheduler.forget(sessionId);
       sessionStore.removeSession(sessionId);
       broadcast({
         type: 'session_unbound',
         sessionId
       });
     },
-    onInitialized: async () => {
-      info('Handshake complete, starting server...');
-
-      if (!serverStarted) {
-        serverStarted = true;
-        server = await createServer(config);
-        initWebSocket(server);
-        await startServer(server, config);
-
-        const url = `http://${config.host}:${config.port}`;
-        info(`Server listening at ${url}`);
-
-        if (!config.noOpen) {
-          await openBrowser(url);
-        }
+    commandContext: {
+      getServerUrl: () => (serverStarted ? url : null),
+      openBrowser: () => openBrowser(url),
+      closeSession: (sessionId) => {
+        if (!sessionStore.getSession(sessionId)) return false;
 
+        log.debug(`Session closed by command: ${sessionId}`);
+        scheduler.forget(sessionId);
+        sessionStore.removeSession(sessionId);
         broadcast({
-          type: 'log',
-          level: 'info',
-          category: 'protocol',
-          message: 'Handshake complete, extension initialized',
-          timestamp: new Date().toISOString()
+          type: 'session_closed',
+          sessionId
         });
-      }
+        return true;
+      },
+      broadcast,
+      getClientCount
+    },
+    onClientResponse: (metadata) => {
+      log.debug(`Received client_response ${metadata.requestId}`);
+      clientRequests.resolve(metadata);
+    },
+    onInitialize: (metadata) => {
+      const capabilities = metadata.capabilities || {};
+      lifecycle.configure({
+        snapshotTtlSeconds: capabilities.snapshotTtlSeconds,
+        idleTimeoutMinutes: capabilities.idleTimeoutMinutes,
+        heartbeatIntervalSeconds: capabilities.heartbeatIntervalSeconds,
+        maxMissedHeartbeats: capabilities.maxMissedHeartbeats
+      });
+    },
+    onInitialized: async () => {
+      info('Handshake complete, starting server...');
+      await startWebServer();
+
+      broadcast({
+        type: 'log',
+        level: 'info',
+        category: 'protocol',
+        message: 'Handshake complete, extension initialized',
+        timestamp: new Date().toISOString()
+      });
     },
     onShutdown: async () => {
       info('Received shutdown signal');
+      if (capture) {
+        // The replayed host went away, but the replayed state is still worth looking at
+        info('Replayed host shut down, keeping the server running');
+        return;
+      }
       broadcast({
         type: 'shutdown'
       });
-      await shutdown(server);
+      await shutdown(server, listener);
     },
     onError: (err) => {
       error('Protocol error:', err);
@@ -122,37 +296,356 @@ export async function main() {
     }
   });
 
-  parser.start();
-  info('Protocol parser started, waiting for handshake...');
+  /**
+   * Start the HTTP and WebSocket servers once
+   * @returns {Promise<void>}
+   */
+  async function startWebServer() {
+    if (serverStarted) return;
 
-  process.stdin.on('end', async () => {
-    info('stdin closed, shutting down...');
-    await shutdown(server);
-  });
+    serverStarted = true;
+    server = await createServer(config);
+    initWebSocket(server, {
+      onFrameRendered: scheduler.frameRendered,
+      // Replays and file sessions have no host to re-render them
+      onClientRequest: hostDriven ? clientRequests.forward : null,
+      onHostConnection: config.ingest
+        ? (ws, channel) => attachHost(ws, channel.input, channel.output, channel.close)
+        : null,
+      onHostDisconnect: detachHost,
+      ingestToken: config.ingestToken
+    });
+    await startServer(server, config);
+
+    info(`Server listening at ${url}`);
+
+    if (!config.noOpen) {
+      await openBrowser(url);
+    }
+  }
+
+  /**
+   * Route the protocol to a newly connected host
+   *
+   * One host is served at a time. A host that connects while another is connected takes
+   * over, which lets a restarted host reconnect before its old connection has timed out.
+   * @param {Object} connection - Identifies the host when it disconnects
+   * @param {import('stream').Readable} input - Protocol bytes from the host
+   * @param {Object} output - Writable for messages to the host
+   * @param {Function} close - Drop the host connection
+   * @returns {void}
+   */
+  function attachHost(connection, input, output, close) {
+    if (activeHost) {
+      log.warn('Another host connected, closing the previous connection');
+      untapHost(activeHost);
+      activeHost.close();
+    }
+    activeHost = { connection, input, close };
+
+    // Each connection starts over with its own handshake
+    parser.stop();
+    parser.reset();
+    if (recorder) {
+      recorder.connect();
+      input.on('data', recorder.input);
+    }
+    setOutput(recorder ? recorder.wrapOutput(output) : output);
+    parser.start(input);
+    broadcast({
+      type: 'log',
+      level: 'info',
+      category: 'protocol',
+      message: 'Host connected',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Stop recording the bytes of a host that is no longer served
+   * @param {{input: import('stream').Readable}} host
+   * @returns {void}
+   */
+  function untapHost(host) {
+    if (recorder) host.input.off('data', recorder.input);
+  }
+
+  /**
+   * Stop reading from a host that went away, unless another host already took over
+   * @param {Object} connection
+   * @returns {void}
+   */
+  function detachHost(connection) {
+    if (activeHost?.connection !== connection) return;
+
+    untapHost(activeHost);
+    activeHost = null;
+    parser.stop();
+    setOutput(null);
+    broadcast({
+      type: 'log',
+      level: 'warn',
+      category: 'protocol',
+      message: 'Host disconnected, waiting for it to reconnect',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const standalone = Boolean(config.watch) || config.command === 'open';
+
+  if (capture) {
+    setOutput(null);
+    await startWebServer();
+
+    // Lifecycle checks follow the wall clock, which a replay does not, so they stay off
+    const pace = config.replaySpeed > 0 ? `at ${config.replaySpeed}x speed` : 'without delays';
+    info(`Replaying ${config.replay} ${pace}...`);
+    capture
+      .replay({
+        speed: config.replaySpeed,
+        onInput: async (chunk) => {
+          try {
+            await parser.processData(chunk);
+          } catch (err) {
+            error('Replay error:', err);
+          }
+        },
+        onConnect: () => parser.reset()
+      })
+      .then(() => info('Replay finished'))
+      .catch((err) => {
+        error('Replay failed:', err);
+        process.exit(1);
+      });
+  } else if (config.listen || config.ingest || standalone) {
+    setOutput(null);
+
+    if (config.listen) {
+      const address = parseListenAddress(config.listen);
+      listener = createSocketListener({
+        address,
+        onConnection: (socket) => attachHost(socket, socket, socket, () => socket.destroy()),
+        onDisconnect: detachHost
+      });
+
+      await listener.start();
+      info(`Waiting for a host to connect on ${formatListenAddress(address)}...`);
+    }
+
+    if (standalone) {
+      const watcher = createFileWatcher({
+        onSnapshot: (metadata, data) => publishSnapshot({ metadata, data }),
+        onRemove: (sessionId) => {
+          sessionStore.removeSession(sessionId);
+          broadcast({
+            type: 'session_closed',
+            sessionId
+          });
+        },
+        nextSequenceNumber: (sessionId) =>
+          (sessionStore.getSession(sessionId)?.sequenceNumber ?? 0) + 1
+      });
+
+      // A file stays current until it changes, so sessions must not go stale
+      lifecycle.configure({ snapshotTtlSeconds: 0 });
+
+      if (config.watch) {
+        await watcher.watchDirectory(config.watch);
+      }
+      if (config.command === 'open') {
+        await watcher.openFiles(config.files, config.follow);
+      }
+    }
+
+    if (config.ingest || standalone) {
+      // Hosts on the ingest path and file sessions are served without a handshake
+      await startWebServer();
+    }
+
+    if (config.ingest) {
+      info(`Waiting for a host to connect on ${url.replace(/^http/, 'ws')}/ingest...`);
+    }
+
+    lifecycle.start();
+  } else {
+    if (recorder) {
+      process.stdin.on('data', recorder.input);
+      setOutput(recorder.wrapOutput(process.stdout));
+    }
+    parser.start();
+    lifecycle.start();
+    info('Protocol parser started, waiting for handshake...');
+
+    process.stdin.on('end', async () => {
+      info('stdin closed, shutting down...');
+      await shutdown(server, listener);
+    });
+  }
 
   process.on('SIGINT', async () => {
     info('Received SIGINT, shutting down...');
-    await shutdown(server);
+    await shutdown(server, listener);
   });
 
   process.on('SIGTERM', async () => {
     info('Received SIGTERM, shutting down...');
-    await shutdown(server);
+    await shutdown(server, listener);
   });
 }
 
+/**
+ * Store a snapshot and notify connected clients about it
+ * @param {import('./session/backpressure.js').PendingFrame} frame
+ * @returns {boolean} True if clients were told to load a new snapshot
+ */
+function publishSnapshot({ metadata, data, encoded, tiles }) {
+  const { duplicate, pageAdded, evictions } = sessionStore.updateSnapshot(
+    metadata.sessionId,
+    metadata,
+    data,
+    encoded,
+    tiles
+  );
+
+  if (duplicate) {
+    // Identical payload: refresh the timestamp without triggering a re-fetch in the browser
+    broadcast({
+      type: 'snapshot_unchanged',
+      sessionId: metadata.sessionId,
+      sequenceNumber: metadata.sequenceNumber,
+      timestamp: metadata.timestamp
+    });
+
+    if (isDebugEnabled()) {
+      broadcast({
+        type: 'log',
+        level: 'debug',
+        category: 'protocol',
+        message: `Skipped identical snapshot for session ${metadata.sessionId}`,
+        sessionId: metadata.sessionId,
+        timestamp: new Date().toISOString(),
+        data: { sequenceNumber: metadata.sequenceNumber }
+      });
+    }
+    return false;
+  }
+
+  if (pageAdded) {
+    // Another page of a frame clients already know about: only viewers of that page reload
+    broadcast({
+      type: 'snapshot_page',
+      sessionId: metadata.sessionId,
+      sequenceNumber: metadata.sequenceNumber,
+      pageIndex: metadata.pageIndex,
+      pageCount: metadata.pageCount,
+      timestamp: metadata.timestamp
+    });
+    reportEvictions(evictions);
+    return false;
+  }
+
+  broadcast({
+    type: 'snapshot',
+    sessionId: metadata.sessionId,
+    documentType: metadata.documentType,
+    originalPath: metadata.originalPath,
+    outputFormat: metadata.outputFormat,
+    sequenceNumber: metadata.sequenceNumber,
+    pageIndex: metadata.pageIndex ?? 0,
+    pageCount: metadata.pageCount ?? 1,
+    timestamp: metadata.timestamp,
+    ...(tiles && {
+      delta: {
+        baseSequenceNumber: metadata.delta.baseSequenceNumber,
+        tiles: tiles.map(({ x, y, width, height }) => ({ x, y, width, height }))
+      }
+    })
+  });
+
+  broadcast({
+    type: 'log',
+    level: 'info',
+    category: 'protocol',
+    message: `Received snapshot for session ${metadata.sessionId}`,
+    sessionId: metadata.sessionId,
+    timestamp: new Date().toISOString(),
+    data: {
+      documentType: metadata.documentType,
+      outputFormat: metadata.outputFormat,
+      sequenceNumber: metadata.sequenceNumber
+    }
+  });
+
+  reportEvictions(evictions);
+  return true;
+}
+
+/**
+ * Store a snapshot without telling clients to load it, e.g. one replaced by a newer frame
+ * @param {import('./session/backpressure.js').PendingFrame} frame
+ * @returns {void}
+ */
+function storeSnapshot({ metadata, data, encoded, tiles }) {
+  const { evictions } = sessionStore.updateSnapshot(
+    metadata.sessionId,
+    metadata,
+    data,
+    encoded,
+    tiles
+  );
+  reportEvictions(evictions);
+}
+
+/**
+ * Notify connected clients about sessions and frames evicted to stay within limits
+ * @param {Array<import('./session/store.js').Eviction>} evictions
+ * @returns {void}
+ */
+function reportEvictions(evictions) {
+  for (const eviction of evictions) {
+    if (eviction.type === 'session') {
+      broadcast({
+        type: 'session_evicted',
+        sessionId: eviction.sessionId,
+        reason: eviction.reason
+      });
+    }
+
+    const target =
+      eviction.type === 'session'
+        ? `session ${eviction.sessionId}`
+        : `snapshot #${eviction.sequenceNumber} of session ${eviction.sessionId}`;
+
+    broadcast({
+      type: 'log',
+      level: 'warn',
+      category: 'session',
+      message: `Evicted ${target} (${eviction.reason.replace('_', ' ')})`,
+      sessionId: eviction.sessionId,
+      timestamp: new Date().toISOString(),
+      data: eviction
+    });
+  }
+}
+
 /**
  * Gracefully shutdown the server and cleanup resources
  * @param {import('fastify').FastifyInstance} server
+ * @param {Object|null} listener - Socket listener to stop, if hosts connect through one
  * @returns {Promise<void>}
  */
-async function shutdown(server) {
+async function shutdown(server, listener) {
   try {
+    if (listener) {
+      await listener.stop();
+      info('Socket listener stopped');
+    }
     if (server) {
       closeAllConnections();
       await stopServer(server);
       info('Server stopped');
     }
+    await sessionStore.flush();
     process.exit(0);
   } catch (err) {
     error('Error during shutdown:', err);
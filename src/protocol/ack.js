@@ -6,11 +6,57 @@ import { createLogger } from '../logger.js';
 
 const log = createLogger('ack');
 
+/** Error codes sent in error ACKs */
+export const ERROR_CODES = Object.freeze({
+  CHECKSUM_MISMATCH: 'checksum_mismatch',
+  FILE_READ_FAILED: 'file_read_failed',
+  MMAP_READ_FAILED: 'mmap_read_failed',
+  UNSUPPORTED_ENCODING: 'unsupported_encoding',
+  DECODE_FAILED: 'decode_failed',
+  PAYLOAD_TOO_LARGE: 'payload_too_large',
+  INVALID_TRANSFER: 'invalid_transfer',
+  ALLOCATION_FAILED: 'allocation_failed',
+  UNKNOWN_TRANSFER: 'unknown_transfer',
+  CHUNK_OUT_OF_RANGE: 'chunk_out_of_range',
+  CHUNK_OVERLAP: 'chunk_overlap',
+  TRANSFER_INCOMPLETE: 'transfer_incomplete',
+  INVALID_PAGE: 'invalid_page',
+  DELTA_BASE_UNAVAILABLE: 'delta_base_unavailable',
+  INVALID_DELTA: 'invalid_delta',
+  HANDSHAKE_REQUIRED: 'handshake_required',
+  FEATURE_NOT_NEGOTIATED: 'feature_not_negotiated'
+});
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 let packageInfo = null;
 
+/** @type {import('stream').Writable|null} Control channel to the host, null while disconnected */
+let output = process.stdout;
+
+/**
+ * Direct messages for the host to another stream, e.g. a socket connection
+ * @param {import('stream').Writable|null} stream - Control channel, or null if no host is connected
+ * @returns {void}
+ */
+export function setOutput(stream) {
+  output = stream;
+}
+
+/**
+ * Write one JSON message line to the host
+ * @param {string} json - Serialized message
+ * @returns {void}
+ */
+function write(json) {
+  if (!output) {
+    log.debug('No host connected, dropping message');
+    return;
+  }
+  output.write(json + '\n');
+}
+
 /**
  * Load package.json information for initialize_response
  * @returns {Promise<Object>}
@@ -33,13 +79,21 @@ async function getPackageInfo() {
 
 /**
  * Send initialize_response to complete handshake
+ * @param {Object} negotiation
+ * @param {string} negotiation.protocolVersion - Protocol version the extension will speak
+ * @param {Array<string>} negotiation.supportedProtocolVersions - Versions the extension accepts
+ * @param {Object} negotiation.capabilities - Features agreed with the host
  * @returns {Promise<void>}
  */
-export async function sendInitializeResponse() {
+export async function sendInitializeResponse(negotiation) {
   const pkg = await getPackageInfo();
 
   const response = {
     type: 'initialize_response',
+    success: true,
+    protocolVersion: negotiation.protocolVersion,
+    supportedProtocolVersions: negotiation.supportedProtocolVersions,
+    capabilities: negotiation.capabilities,
     name: pkg.name,
     version: pkg.version,
     title: 'Aspose MCP Preview',
@@ -49,28 +103,98 @@ export async function sendInitializeResponse() {
   };
 
   const json = JSON.stringify(response);
-  process.stdout.write(json + '\n');
+  write(json);
   log.info(`Sent initialize_response: ${pkg.name}@${pkg.version}`);
 }
 
+/**
+ * Send a failed initialize_response when the host's protocol version is not supported
+ * @param {string} requestedVersion - Protocol version sent by the host
+ * @param {Array<string>} supportedProtocolVersions - Versions the extension accepts
+ * @param {string} errorMessage - Human-readable error message
+ * @returns {Promise<void>}
+ */
+export async function sendInitializeError(
+  requestedVersion,
+  supportedProtocolVersions,
+  errorMessage
+) {
+  const pkg = await getPackageInfo();
+
+  const response = {
+    type: 'initialize_response',
+    success: false,
+    name: pkg.name,
+    version: pkg.version,
+    requestedProtocolVersion: requestedVersion,
+    supportedProtocolVersions,
+    error: {
+      code: 'unsupported_protocol_version',
+      message: errorMessage
+    }
+  };
+
+  const json = JSON.stringify(response);
+  write(json);
+  log.warn(`Rejected initialize: ${errorMessage}`);
+}
+
 /**
  * Send an acknowledgment response to stdout
  * @param {number} sequenceNumber - Sequence number to acknowledge
- * @param {string} [status='processed'] - Status of processing
+ * @param {string} [status='processed'] - Status of processing: processed, busy or coalesced
+ * @param {Object} [details={}] - Extra fields, e.g. frameIntervalMs for busy and coalesced
  * @returns {void}
  */
-export function sendAck(sequenceNumber, status = 'processed') {
+export function sendAck(sequenceNumber, status = 'processed', details = {}) {
   const ack = {
     type: 'ack',
     sequenceNumber,
-    status
+    status,
+    ...details
   };
 
   const json = JSON.stringify(ack);
-  process.stdout.write(json + '\n');
+  write(json);
   log.debug(`Sent ACK for sequence ${sequenceNumber}`);
 }
 
+/**
+ * Tell the host how often the connected browsers can take a new frame
+ * @param {number} frameIntervalMs - Sustainable interval between frames in milliseconds
+ * @returns {void}
+ */
+export function sendFlowControl(frameIntervalMs) {
+  const message = {
+    type: 'flow_control',
+    frameIntervalMs
+  };
+
+  const json = JSON.stringify(message);
+  write(json);
+  log.debug(`Sent flow_control: ${frameIntervalMs}ms`);
+}
+
+/**
+ * Forward a request from a browser tab to the host
+ * @param {Object} request
+ * @param {string} request.requestId - ID the host must echo in its client_response
+ * @param {string} request.sessionId - Session the request is about
+ * @param {string} request.action - Requested action, e.g. rerender
+ * @param {Object} request.parameters - Action parameters
+ * @returns {void}
+ */
+export function sendClientRequest(request) {
+  const message = {
+    type: 'client_request',
+    ...request
+  };
+
+  const json = JSON.stringify(message);
+  write(json);
+  log.debug(`Sent client_request ${request.requestId}: ${request.action}`);
+}
+
 /**
  * Send a pong response to a heartbeat message
  * @returns {void}
@@ -81,27 +205,53 @@ export function sendPong() {
   };
 
   const json = JSON.stringify(pong);
-  process.stdout.write(json + '\n');
+  write(json);
   log.debug('Sent pong');
 }
 
 /**
  * Send an error acknowledgment for a failed message
  * @param {number} sequenceNumber - Sequence number that failed
+ * @param {string} errorCode - Machine-readable error code (one of ERROR_CODES)
  * @param {string} errorMessage - Error message
  * @returns {void}
  */
-export function sendError(sequenceNumber, errorMessage) {
+export function sendError(sequenceNumber, errorCode, errorMessage) {
   const error = {
     type: 'ack',
     sequenceNumber,
     status: 'error',
+    errorCode,
     error: errorMessage
   };
 
   const json = JSON.stringify(error);
-  process.stdout.write(json + '\n');
-  log.debug(`Sent error ACK for sequence ${sequenceNumber}: ${errorMessage}`);
+  write(json);
+  log.debug(`Sent error ACK for sequence ${sequenceNumber}: ${errorCode}`);
+}
+
+/**
+ * Ask the host to send a snapshot again
+ * @param {string} sessionId - Session the snapshot belongs to
+ * @param {number} sequenceNumber - Sequence number to resend
+ * @param {string} reason - Error code that caused the request
+ * @param {number} attempt - Resend attempt for this sequence number, starting at 1
+ * @param {number} [pageIndex] - Page to resend, for multi-page snapshots
+ * @returns {void}
+ */
+export function sendResendRequest(sessionId, sequenceNumber, reason, attempt, pageIndex) {
+  const request = {
+    type: 'resend_request',
+    sessionId,
+    sequenceNumber,
+    ...(pageIndex !== undefined && { pageIndex }),
+    reason,
+    attempt
+  };
+
+  const json = JSON.stringify(request);
+  write(json);
+  log.info(`Requested resend of sequence ${sequenceNumber} (${reason}, attempt ${attempt})`);
 }
 
 /**
@@ -128,6 +278,6 @@ export function sendCommandResult(commandId, success, result = null, error = nul
   }
 
   const json = JSON.stringify(response);
-  process.stdout.write(json + '\n');
+  write(json);
   log.debug(`Sent command_result for ${commandId}: success=${success}`);
 }
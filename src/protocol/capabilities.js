@@ -0,0 +1,75 @@
+import { isMmapAvailable } from './transport/mmap.js';
+import { COMMAND_TYPES } from './command.js';
+import { SUPPORTED_ENCODINGS } from './encoding.js';
+
+/** Protocol version implemented by this extension */
+export const PROTOCOL_VERSION = '1.0';
+
+/** Major protocol versions this extension can speak */
+const SUPPORTED_MAJOR_VERSIONS = [1];
+
+/**
+ * Check whether a host protocol version is compatible with this extension
+ * @param {string} version - Version string such as "1.0"
+ * @returns {boolean}
+ */
+export function isSupportedProtocolVersion(version) {
+  const major = parseInt(String(version).split('.')[0], 10);
+  return SUPPORTED_MAJOR_VERSIONS.includes(major);
+}
+
+/**
+ * Describe the supported protocol versions for error messages and responses
+ * @returns {Array<string>}
+ */
+export function getSupportedProtocolVersions() {
+  return SUPPORTED_MAJOR_VERSIONS.map((major) => `${major}.x`);
+}
+
+/**
+ * Collect the features this extension supports
+ * @returns {Promise<Object>}
+ */
+export async function getCapabilities() {
+  return {
+    transports: ['stdin', 'file', ...((await isMmapAvailable()) ? ['mmap'] : [])],
+    formats: ['png', 'html', 'pdf'],
+    documentTypes: ['word', 'excel', 'powerpoint', 'pdf'],
+    compression: [...SUPPORTED_ENCODINGS],
+    chunking: true,
+    delta: true,
+    heartbeat: true,
+    commands: [...COMMAND_TYPES]
+  };
+}
+
+/**
+ * Reduce our capabilities to the features the host also asked for
+ *
+ * List features are intersected; boolean features stay on only if the host did not
+ * turn them off. Features the host does not mention are offered as-is.
+ * @param {Object} capabilities - Result of getCapabilities
+ * @param {Object} [requested] - `features` object from the host's initialize message
+ * @returns {Object}
+ */
+export function negotiateFeatures(capabilities, requested) {
+  if (!requested || typeof requested !== 'object') {
+    return capabilities;
+  }
+
+  const negotiated = {};
+
+  for (const [key, value] of Object.entries(capabilities)) {
+    const wanted = requested[key];
+
+    if (Array.isArray(value) && Array.isArray(wanted)) {
+      negotiated[key] = value.filter((item) => wanted.includes(item));
+    } else if (typeof value === 'boolean' && wanted !== undefined) {
+      negotiated[key] = value && wanted !== false;
+    } else {
+      negotiated[key] = value;
+    }
+  }
+
+  return negotiated;
+}
@@ -0,0 +1,220 @@
+import { openSync, writeSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('capture');
+
+const CAPTURE_VERSION = 1;
+
+/**
+ * @typedef {Object} CaptureEntry
+ * @property {number} t - Milliseconds since the recording started
+ * @property {string} type - 'in' for bytes from the host, 'out' for a message to the host,
+ *   'payload' for a file or mmap payload, 'connect' for a new host connection
+ * @property {string} [data] - Base64 bytes ('in', 'payload') or the JSON line ('out')
+ * @property {string} [location] - File path or mmap name a payload was read from
+ */
+
+/** Entry types and whether each carries a `data` string */
+const ENTRY_TYPES = {
+  in: true,
+  out: true,
+  payload: true,
+  connect: false
+};
+
+/**
+ * Check that a capture entry has the fields replay relies on
+ * @param {any} entry - Parsed line
+ * @returns {string|null} What is wrong with the entry, or null if it is valid
+ */
+function validateEntry(entry) {
+  if (!entry || typeof entry !== 'object') return 'not an object';
+  if (!Object.hasOwn(ENTRY_TYPES, entry.type)) return `unknown type ${JSON.stringify(entry.type)}`;
+  if (!Number.isFinite(entry.t) || entry.t < 0) return 't must be a non-negative number';
+  if (ENTRY_TYPES[entry.type] && typeof entry.data !== 'string') return 'data must be a string';
+  if (entry.type === 'payload' && typeof entry.location !== 'string') {
+    return 'location must be a string';
+  }
+  return null;
+}
+
+/**
+ * Get where a file or mmap snapshot keeps its payload
+ * @param {Object} metadata - Snapshot metadata
+ * @returns {string}
+ */
+function payloadLocation(metadata) {
+  return metadata.mmapName ?? metadata.filePath;
+}
+
+/**
+ * Create a recorder that writes the protocol traffic to a capture file
+ *
+ * The file holds one JSON entry per line after a header line. Entries are written
+ * synchronously so a capture is complete even when the process exits right after.
+ * @param {string} filePath
+ * @returns {Object}
+ */
+export function createCaptureRecorder(filePath) {
+  const fd = openSync(filePath, 'w');
+  const startedAt = Date.now();
+
+  /**
+   * Append an entry to the capture file
+   * @param {Object} entry
+   * @returns {void}
+   */
+  function append(entry) {
+    writeSync(fd, JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Record an entry stamped with the time since the recording started
+   * @param {string} type
+   * @param {Object} [fields]
+   * @returns {void}
+   */
+  function record(type, fields = {}) {
+    append({ t: Date.now() - startedAt, type, ...fields });
+  }
+
+  /**
+   * Record bytes received from the host
+   * @param {Buffer} chunk
+   * @returns {void}
+   */
+  function input(chunk) {
+    record('in', { data: chunk.toString('base64') });
+  }
+
+  /**
+   * Record the payload of a file or mmap snapshot
+   * @param {Object} metadata - Snapshot metadata
+   * @param {Buffer} data
+   * @returns {void}
+   */
+  function payload(metadata, data) {
+    record('payload', { location: payloadLocation(metadata), data: data.toString('base64') });
+  }
+
+  /**
+   * Record that a new host connected
+   * @returns {void}
+   */
+  function connect() {
+    record('connect');
+  }
+
+  /**
+   * Wrap the stream messages to the host are written to so they are recorded too
+   * @param {Object} stream - Writable with a write(text) method
+   * @returns {Object}
+   */
+  function wrapOutput(stream) {
+    return {
+      write: (text) => {
+        record('out', { data: String(text).replace(/\n$/, '') });
+        return stream.write(text);
+      }
+    };
+  }
+
+  append({
+    type: 'capture',
+    version: CAPTURE_VERSION,
+    startedAt: new Date(startedAt).toISOString()
+  });
+  log.info(`Recording protocol traffic to ${filePath}`);
+
+  return {
+    input,
+    payload,
+    connect,
+    wrapOutput
+  };
+}
+
+/**
+ * Load a capture file for replay
+ * @param {string} filePath
+ * @returns {Promise<Object>}
+ */
+export async function loadCapture(filePath) {
+  const lines = (await readFile(filePath, 'utf-8')).split('\n').filter(Boolean);
+  const header = lines.length > 0 ? JSON.parse(lines[0]) : null;
+
+  if (header?.type !== 'capture' || header.version !== CAPTURE_VERSION) {
+    throw new Error(`${filePath} is not a version ${CAPTURE_VERSION} capture file`);
+  }
+
+  /** @type {Array<CaptureEntry>} */
+  const entries = lines.slice(1).map((line, index) => {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${filePath}: entry ${index + 1} is not valid JSON: ${err.message}`, {
+        cause: err
+      });
+    }
+
+    const problem = validateEntry(entry);
+    if (problem) {
+      throw new Error(`${filePath}: entry ${index + 1} is invalid: ${problem}`);
+    }
+    return entry;
+  });
+  // The parser reads external payloads in message order, so they are handed out in that order
+  const payloads = entries.filter((entry) => entry.type === 'payload');
+
+  log.info(`Loaded capture ${filePath} recorded at ${header.startedAt}, ${entries.length} entries`);
+
+  /**
+   * Serve the next recorded file or mmap payload in place of the transport
+   * @param {Object} metadata - Snapshot metadata
+   * @returns {Promise<Buffer>}
+   */
+  async function readPayload(metadata) {
+    const entry = payloads.shift();
+    if (!entry) {
+      throw new Error(`No payload recorded for ${payloadLocation(metadata)}`);
+    }
+    if (entry.location !== payloadLocation(metadata)) {
+      log.warn(`Replaying payload of ${entry.location} for ${payloadLocation(metadata)}`);
+    }
+    return Buffer.from(entry.data, 'base64');
+  }
+
+  /**
+   * Feed the recorded host traffic back with the original timing
+   * @param {Object} options
+   * @param {number} options.speed - Playback speed factor, or 0 to replay without delays
+   * @param {Function} options.onInput - Called with each chunk of host bytes; awaited
+   * @param {Function} options.onConnect - Called where a new host connection started
+   * @returns {Promise<void>}
+   */
+  async function replay({ speed, onInput, onConnect }) {
+    let previous = 0;
+
+    for (const entry of entries) {
+      if (entry.type !== 'in' && entry.type !== 'connect') continue;
+
+      if (speed > 0 && entry.t > previous) {
+        await new Promise((resolve) => setTimeout(resolve, (entry.t - previous) / speed));
+      }
+      previous = entry.t;
+
+      if (entry.type === 'connect') {
+        onConnect();
+      } else {
+        await onInput(Buffer.from(entry.data, 'base64'));
+      }
+    }
+  }
+
+  return {
+    readPayload,
+    replay
+  };
+}
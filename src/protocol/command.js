@@ -1,5 +1,6 @@
-import { createLogger } from '../logger.js';
+import { createLogger, setDebug, isDebugEnabled } from '../logger.js';
 import { sendCommandResult } from './ack.js';
+import { sessionStore } from '../session/store.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -7,6 +8,28 @@ import { dirname, join } from 'path';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const log = createLogger('command');
 
+/** Command types handled by handleCommand, advertised during the handshake */
+export const COMMAND_TYPES = [
+  'get_version',
+  'list_sessions',
+  'get_session_info',
+  'close_session',
+  'clear_sessions',
+  'get_stats',
+  'get_server_url',
+  'open_browser',
+  'set_debug'
+];
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {Function} getServerUrl - Returns the preview URL, or null before the server starts
+ * @property {Function} openBrowser - Opens the preview in the default browser
+ * @property {Function} closeSession - Removes a session and notifies clients, returns whether it existed
+ * @property {Function} broadcast - Sends a message to all connected browsers
+ * @property {Function} getClientCount - Returns the number of connected browsers
+ */
+
 /**
  * Read the application version from package.json
  * @returns {string}
@@ -23,10 +46,11 @@ function getVersion() {
 
 /**
  * Process and execute a received command message
- * @param {Object} metadata - Command metadata
- * @returns {void}
+ * @param {Object} metadata - Command metadata, with arguments in `parameters`
+ * @param {CommandContext} context - Application hooks needed by some commands
+ * @returns {Promise<void>}
  */
-export function handleCommand(metadata) {
+export async function handleCommand(metadata, context) {
   const { commandId, commandType } = metadata;
 
   if (!commandId) {
@@ -36,14 +60,109 @@ export function handleCommand(metadata) {
 
   log.debug(`Handling command: ${commandType} (${commandId})`);
 
+  try {
+    const result = await executeCommand(commandType, metadata.parameters || {}, context);
+    sendCommandResult(commandId, true, result);
+  } catch (err) {
+    log.warn(`Command ${commandType} (${commandId}) failed: ${err.message}`);
+    sendCommandResult(commandId, false, null, err.message);
+  }
+}
+
+/**
+ * Run a command and build its result
+ * @param {string} commandType - Command type
+ * @param {Object} parameters - Command arguments
+ * @param {CommandContext} context - Application hooks
+ * @returns {Promise<Object>} Command result
+ */
+async function executeCommand(commandType, parameters, context) {
   switch (commandType) {
   case 'get_version':
-    sendCommandResult(commandId, true, { version: getVersion() });
-    break;
+    return { version: getVersion() };
+
+  case 'list_sessions':
+    return { sessions: sessionStore.getAllSessions() };
+
+  case 'get_session_info': {
+    const info = sessionStore.getSessionInfo(requireSessionId(parameters));
+    if (!info) throw new Error(`Session not found: ${parameters.sessionId}`);
+    return info;
+  }
+
+  case 'close_session': {
+    const sessionId = requireSessionId(parameters);
+    if (!context.closeSession(sessionId)) throw new Error(`Session not found: ${sessionId}`);
+    return { sessionId, closed: true };
+  }
+
+  case 'clear_sessions': {
+    const sessionIds = sessionStore.getAllSessions().map((session) => session.sessionId);
+    for (const sessionId of sessionIds) {
+      context.closeSession(sessionId);
+    }
+    return { closed: sessionIds.length };
+  }
+
+  case 'get_stats': {
+    // Snapshots are only part of the footprint, so the process totals are reported too
+    const { rss, heapUsed } = process.memoryUsage();
+    return {
+      sessions: sessionStore.size,
+      clients: context.getClientCount(),
+      memory: { ...sessionStore.getMemoryStats(), rss, heapUsed },
+      lastSnapshotAt: sessionStore.lastSnapshotAt
+        ? new Date(sessionStore.lastSnapshotAt).toISOString()
+        : null,
+      uptime: process.uptime()
+    };
+  }
+
+  case 'get_server_url':
+    return { url: requireServerUrl(context) };
+
+  case 'open_browser': {
+    const url = requireServerUrl(context);
+    await context.openBrowser();
+    return { url };
+  }
+
+  case 'set_debug':
+    if (typeof parameters.enabled !== 'boolean') {
+      throw new Error('Parameter enabled must be a boolean');
+    }
+    setDebug(parameters.enabled);
+    log.info(`Debug mode ${parameters.enabled ? 'enabled' : 'disabled'} by host`);
+    context.broadcast({
+      type: 'debug_changed',
+      enabled: isDebugEnabled()
+    });
+    return { enabled: isDebugEnabled() };
 
   default:
-    log.warn(`Unknown command type: ${commandType}`);
-    sendCommandResult(commandId, false, null, `Unknown command type: ${commandType}`);
-    break;
+    throw new Error(`Unknown command type: ${commandType}`);
   }
 }
+
+/**
+ * Get the sessionId parameter of a command
+ * @param {Object} parameters - Command arguments
+ * @returns {string}
+ */
+function requireSessionId(parameters) {
+  if (typeof parameters.sessionId !== 'string' || parameters.sessionId === '') {
+    throw new Error('Parameter sessionId is required');
+  }
+  return parameters.sessionId;
+}
+
+/**
+ * Get the preview URL, failing if the server has not started yet
+ * @param {CommandContext} context - Application hooks
+ * @returns {string}
+ */
+function requireServerUrl(context) {
+  const url = context.getServerUrl();
+  if (!url) throw new Error('Preview server is not running');
+  return url;
+}
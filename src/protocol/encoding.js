@@ -0,0 +1,61 @@
+import { promisify } from 'util';
+import { brotliDecompress, gunzip, inflate } from 'zlib';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('encoding');
+
+const DECODERS = {
+  gzip: promisify(gunzip),
+  deflate: promisify(inflate),
+  br: promisify(brotliDecompress)
+};
+
+/** Largest decoded payload accepted when no memory budget is configured */
+export const DEFAULT_MAX_DECODED_BYTES = 512 * 1024 * 1024;
+
+/** Content encodings accepted in the snapshot `encoding` field */
+export const SUPPORTED_ENCODINGS = Object.keys(DECODERS);
+
+/**
+ * Check whether an encoding value means the payload is not compressed
+ * @param {string|undefined} encoding
+ * @returns {boolean}
+ */
+export function isIdentityEncoding(encoding) {
+  return encoding === undefined || encoding === null || encoding === 'identity';
+}
+
+/**
+ * Decompress a snapshot payload
+ *
+ * A few kilobytes of compressed data can expand to gigabytes, so the output is capped.
+ * @param {Buffer} data - Payload as received from the transport
+ * @param {string} encoding - One of SUPPORTED_ENCODINGS
+ * @param {number} [maxOutputLength] - Largest decoded size accepted, in bytes
+ * @returns {Promise<Buffer>} Decoded payload
+ * @throws {RangeError} If the decoded payload would exceed maxOutputLength
+ */
+export async function decodePayload(data, encoding, maxOutputLength = DEFAULT_MAX_DECODED_BYTES) {
+  const decode = DECODERS[encoding];
+
+  if (!decode) {
+    throw new Error(
+      `Unsupported encoding: ${encoding}, expected one of ${SUPPORTED_ENCODINGS.join(', ')}`
+    );
+  }
+
+  let decoded;
+  try {
+    decoded = await decode(data, { maxOutputLength });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new RangeError(`Decoded payload exceeds the limit of ${maxOutputLength} bytes`, {
+        cause: err
+      });
+    }
+    throw err;
+  }
+
+  log.debug(`Decoded ${encoding} payload: ${data.length} -> ${decoded.length} bytes`);
+  return decoded;
+}
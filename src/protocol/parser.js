@@ -1,40 +1,103 @@
 import { createLogger } from '../logger.js';
-import { sendAck, sendPong, sendInitializeResponse } from './ack.js';
+import {
+  ERROR_CODES,
+  sendAck,
+  sendPong,
+  sendError,
+  sendResendRequest,
+  sendInitializeResponse,
+  sendInitializeError
+} from './ack.js';
 import { readFromFile } from './transport/file.js';
 import { readFromMmap } from './transport/mmap.js';
 import { handleCommand } from './command.js';
+import { calculateCRC32 } from '../crc32.js';
+import { SUPPORTED_ENCODINGS, decodePayload, isIdentityEncoding } from './encoding.js';
+import { compositeTilesInWorker, parseTiles } from '../image/tiles.js';
+import {
+  PROTOCOL_VERSION,
+  getCapabilities,
+  getSupportedProtocolVersions,
+  isSupportedProtocolVersion,
+  negotiateFeatures
+} from './capabilities.js';
 
 const log = createLogger('parser');
 
-let handshakeComplete = false;
+/** Resend requests sent for one sequence number before giving up on it */
+const MAX_RESEND_ATTEMPTS = 3;
+
+/** Messages that carry snapshot data and are refused until the handshake is complete */
+const DATA_MESSAGE_TYPES = ['snapshot', 'snapshot_begin', 'snapshot_chunk', 'snapshot_end'];
+
+/**
+ * @typedef {Object} ChunkedTransfer
+ * @property {Object} metadata - snapshot_begin message, used as the snapshot metadata
+ * @property {Buffer} data - Buffer pre-sized to the transfer's totalSize
+ * @property {number} receivedBytes - Bytes copied in so far
+ * @property {Array<Array<number>>} ranges - [start, end) byte ranges copied in so far, sorted
+ *   and merged, so no chunk is counted twice
+ */
 
 /**
  * Create a protocol parser for handling MCP preview messages
  * @param {Object} options
  * @param {string} options.transport - Default transport mode
- * @param {Function} options.onSnapshot - Callback for snapshot messages
+ * @param {Function} options.onSnapshot - Callback for snapshot messages, receives the metadata,
+ *   the decoded data, for compressed payloads `{encoding, data}` with the original bytes and,
+ *   for delta snapshots, the tiles that were painted over the base image.
+ *   May return `{status, details}` to acknowledge with a status other than processed
+ * @param {Function} [options.getDeltaBase] - Returns the PNG a delta snapshot patches, or null
+ *   if it is not available
+ * @param {Function} [options.readExternalPayload] - Reads file and mmap payloads in place of
+ *   the transports, e.g. from a capture being replayed
+ * @param {Function} [options.onExternalPayload] - Called with the metadata and payload of each
+ *   file or mmap snapshot that was read
+ * @param {number} [options.maxDecodedBytes] - Largest size a compressed payload may decode to
  * @param {Function} options.onHeartbeat - Callback for heartbeat messages
  * @param {Function} options.onSessionClosed - Callback for session_closed messages
  * @param {Function} options.onSessionUnbound - Callback for session_unbound messages
  * @param {Function} options.onShutdown - Callback for shutdown messages
+ * @param {Function} [options.onInitialize] - Callback for initialize, receives the host metadata
+ * @param {Function} [options.onClientResponse] - Callback for the host's answers to client_request
  * @param {Function} options.onInitialized - Callback for initialized (handshake complete)
  * @param {Function} options.onError - Callback for errors
+ * @param {import('./command.js').CommandContext} options.commandContext - Hooks used by commands
  * @returns {Object}
  */
 export function createProtocolParser(options) {
   const {
     transport: defaultTransport,
     onSnapshot,
+    getDeltaBase,
+    readExternalPayload,
+    onExternalPayload,
+    maxDecodedBytes,
     onHeartbeat,
     onSessionClosed,
     onSessionUnbound,
     onShutdown,
+    onInitialize,
+    onClientResponse,
     onInitialized,
-    onError
+    onError,
+    commandContext
   } = options;
 
   let buffer = Buffer.alloc(0);
   let started = false;
+  /** @type {import('stream').Readable|null} Stream the host's messages are read from */
+  let input = null;
+  let protocolAccepted = false;
+  let handshakeComplete = false;
+  /** @type {Object|null} Features agreed with the host during the handshake */
+  let features = null;
+  /** @type {Map<string, ChunkedTransfer>} In-progress chunked snapshots by transfer ID */
+  const transfers = new Map();
+  /** @type {Map<string, number>} Resend requests sent per snapshot, keyed by snapshotKey */
+  const resendAttempts = new Map();
+  /** @type {Promise<void>} Tail of the queue of chunks waiting to be processed */
+  let processing = Promise.resolve();
 
   /**
    * Parse and process a single message from the buffer
@@ -60,15 +123,23 @@ export function createProtocolParser(options) {
     const msgType = metadata.type;
     log.debug(`Received message type: ${msgType}`);
 
+    if (!handshakeComplete && DATA_MESSAGE_TYPES.includes(msgType)) {
+      return refuseBeforeHandshake(metadata, newlineIndex);
+    }
+
     switch (msgType) {
     case 'initialize':
       buffer = buffer.subarray(newlineIndex + 1);
       log.info(`Received initialize, protocolVersion: ${metadata.protocolVersion}`);
-      await sendInitializeResponse();
+      await negotiate(metadata);
       return true;
 
     case 'initialized':
       buffer = buffer.subarray(newlineIndex + 1);
+      if (!protocolAccepted) {
+        log.warn('Ignoring initialized: protocol version was not accepted');
+        return true;
+      }
       handshakeComplete = true;
       log.info('Handshake complete');
       if (onInitialized) onInitialized();
@@ -82,6 +153,7 @@ export function createProtocolParser(options) {
 
     case 'session_closed':
       buffer = buffer.subarray(newlineIndex + 1);
+      discardTransfers(metadata.sessionId);
       onSessionClosed(metadata.sessionId);
       return true;
 
@@ -98,9 +170,27 @@ export function createProtocolParser(options) {
     case 'snapshot':
       return await parseSnapshot(metadata, newlineIndex);
 
+    case 'snapshot_begin':
+      buffer = buffer.subarray(newlineIndex + 1);
+      beginTransfer(metadata);
+      return true;
+
+    case 'snapshot_chunk':
+      return parseChunk(metadata, newlineIndex);
+
+    case 'snapshot_end':
+      buffer = buffer.subarray(newlineIndex + 1);
+      await endTransfer(metadata);
+      return true;
+
+    case 'client_response':
+      buffer = buffer.subarray(newlineIndex + 1);
+      if (onClientResponse) onClientResponse(metadata);
+      return true;
+
     case 'command':
       buffer = buffer.subarray(newlineIndex + 1);
-      handleCommand(metadata);
+      handleCommand(metadata, commandContext);
       return true;
 
     default:
@@ -110,6 +200,69 @@ export function createProtocolParser(options) {
     }
   }
 
+  /**
+   * Check the host protocol version and answer with the agreed feature set
+   * @param {Object} metadata - initialize message
+   * @returns {Promise<void>}
+   */
+  async function negotiate(metadata) {
+    // A new initialize starts the handshake over, so data waits for its initialized
+    handshakeComplete = false;
+    const supportedProtocolVersions = getSupportedProtocolVersions();
+    const requestedVersion = metadata.protocolVersion ?? PROTOCOL_VERSION;
+
+    if (metadata.protocolVersion === undefined) {
+      log.warn(`Host did not send protocolVersion, assuming ${PROTOCOL_VERSION}`);
+    }
+
+    if (!isSupportedProtocolVersion(requestedVersion)) {
+      protocolAccepted = false;
+      const message =
+        `Unsupported protocol version ${requestedVersion}, ` +
+        `this extension supports ${supportedProtocolVersions.join(', ')}`;
+      await sendInitializeError(requestedVersion, supportedProtocolVersions, message);
+      onError(new Error(message));
+      return;
+    }
+
+    protocolAccepted = true;
+    features = negotiateFeatures(await getCapabilities(), metadata.features);
+
+    if (onInitialize) onInitialize(metadata);
+
+    await sendInitializeResponse({
+      protocolVersion: PROTOCOL_VERSION,
+      supportedProtocolVersions,
+      capabilities: features
+    });
+  }
+
+  /**
+   * Take a data message that arrived before the handshake off the buffer and refuse it
+   * @param {Object} metadata - Parsed metadata
+   * @param {number} newlineIndex - Index of newline after JSON
+   * @returns {boolean} False if the message payload has not fully arrived yet
+   */
+  function refuseBeforeHandshake(metadata, newlineIndex) {
+    const transportMode = metadata.transportMode || defaultTransport;
+    const hasPayload =
+      metadata.type === 'snapshot_chunk' ||
+      (metadata.type === 'snapshot' && transportMode !== 'file' && transportMode !== 'mmap');
+
+    if (hasPayload) {
+      if (!readPayload(newlineIndex)) return false;
+    } else {
+      buffer = buffer.subarray(newlineIndex + 1);
+    }
+
+    rejectSnapshot(
+      metadata,
+      ERROR_CODES.HANDSHAKE_REQUIRED,
+      `Received ${metadata.type} before the handshake was complete`
+    );
+    return true;
+  }
+
   /**
    * Parse a snapshot message and extract binary data
    * @param {Object} metadata - Parsed metadata
@@ -122,96 +275,482 @@ export function createProtocolParser(options) {
     if (transportMode === 'file') {
       buffer = buffer.subarray(newlineIndex + 1);
 
+      let data;
       try {
-        const data = await readFromFile(metadata.filePath);
-        sendAck(metadata.sequenceNumber);
-        onSnapshot(metadata, data);
+        data = await readExternal(metadata, () => readFromFile(metadata.filePath));
       } catch (err) {
-        onError(new Error(`Failed to read file: ${err.message}`));
+        rejectSnapshot(
+          metadata,
+          ERROR_CODES.FILE_READ_FAILED,
+          `Failed to read file: ${err.message}`,
+          true
+        );
+        return true;
       }
+
+      await deliverSnapshot(metadata, data);
       return true;
     }
 
     if (transportMode === 'mmap') {
       buffer = buffer.subarray(newlineIndex + 1);
 
+      let data;
       try {
-        const data = await readFromMmap(metadata.mmapName, metadata.dataSize, metadata.filePath);
-        sendAck(metadata.sequenceNumber);
-        onSnapshot(metadata, data);
+        data = await readExternal(metadata, () =>
+          readFromMmap(metadata.mmapName, metadata.dataSize, metadata.filePath)
+        );
       } catch (err) {
-        onError(new Error(`Failed to read mmap: ${err.message}`));
+        rejectSnapshot(
+          metadata,
+          ERROR_CODES.MMAP_READ_FAILED,
+          `Failed to read mmap: ${err.message}`,
+          true
+        );
+        return true;
       }
+
+      await deliverSnapshot(metadata, data);
       return true;
     }
 
+    const binaryData = readPayload(newlineIndex);
+    if (!binaryData) {
+      return false;
+    }
+
+    if (metadata.checksum !== undefined) {
+      const calculatedChecksum = calculateCRC32(binaryData);
+      if (calculatedChecksum !== metadata.checksum) {
+        rejectSnapshot(
+          metadata,
+          ERROR_CODES.CHECKSUM_MISMATCH,
+          `Checksum mismatch: expected ${metadata.checksum}, got ${calculatedChecksum}`,
+          true
+        );
+        return true;
+      }
+    }
+
+    await deliverSnapshot(metadata, binaryData);
+    return true;
+  }
+
+  /**
+   * Read a payload the host left outside the control channel
+   * @param {Object} metadata - Snapshot metadata
+   * @param {Function} read - Reads the payload through its transport
+   * @returns {Promise<Buffer>}
+   */
+  async function readExternal(metadata, read) {
+    const data = readExternalPayload ? await readExternalPayload(metadata) : await read();
+    if (onExternalPayload) onExternalPayload(metadata, data);
+    return data;
+  }
+
+  /**
+   * Decode a received snapshot payload if needed, acknowledge it and pass it on
+   *
+   * Checksums cover the bytes as sent, so they are verified before this is called.
+   * @param {Object} metadata - Snapshot metadata
+   * @param {Buffer} data - Payload as received, possibly compressed
+   * @returns {Promise<void>}
+   */
+  async function deliverSnapshot(metadata, data) {
+    resendAttempts.delete(snapshotKey(metadata));
+
+    const pageError = validatePages(metadata);
+    if (pageError) {
+      rejectSnapshot(metadata, ERROR_CODES.INVALID_PAGE, pageError);
+      return;
+    }
+
+    if (metadata.delta && !features.delta) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.FEATURE_NOT_NEGOTIATED,
+        `Snapshot ${metadata.sequenceNumber} is a delta, but delta snapshots were not negotiated`
+      );
+      return;
+    }
+
+    if (isIdentityEncoding(metadata.encoding)) {
+      await publish(metadata, data);
+      return;
+    }
+
+    if (!features.compression.includes(metadata.encoding)) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.UNSUPPORTED_ENCODING,
+        SUPPORTED_ENCODINGS.includes(metadata.encoding)
+          ? `Encoding ${metadata.encoding} was not negotiated`
+          : `Unsupported encoding: ${metadata.encoding}`
+      );
+      return;
+    }
+
+    let decoded;
+    try {
+      decoded = await decodePayload(data, metadata.encoding, maxDecodedBytes);
+    } catch (err) {
+      if (err instanceof RangeError) {
+        // Sending the same payload again cannot help, so no resend is requested
+        rejectSnapshot(
+          metadata,
+          ERROR_CODES.PAYLOAD_TOO_LARGE,
+          `Snapshot ${metadata.sequenceNumber} is too large: ${err.message}`
+        );
+        return;
+      }
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.DECODE_FAILED,
+        `Failed to decode snapshot ${metadata.sequenceNumber}: ${err.message}`,
+        true
+      );
+      return;
+    }
+
+    await publish(metadata, decoded, { encoding: metadata.encoding, data });
+  }
+
+  /**
+   * Hand a decoded snapshot to the snapshot callback, first painting delta tiles over
+   * their base image on the compositing worker
+   * @param {Object} metadata - Snapshot metadata
+   * @param {Buffer} data - Decoded payload
+   * @param {{encoding: string, data: Buffer}} [encoded] - Compressed payload, if any
+   * @returns {Promise<void>}
+   */
+  async function publish(metadata, data, encoded) {
+    if (!metadata.delta) {
+      acknowledge(metadata, onSnapshot(metadata, data, encoded));
+      return;
+    }
+
+    const { sequenceNumber, delta } = metadata;
+    const base = getDeltaBase ? getDeltaBase(metadata) : null;
+
+    if (!base) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.DELTA_BASE_UNAVAILABLE,
+        `Snapshot ${sequenceNumber}: base snapshot ${delta.baseSequenceNumber} is not available`,
+        true
+      );
+      return;
+    }
+
+    let tiles;
+    let composed;
+    try {
+      tiles = parseTiles(delta, data);
+      composed = await compositeTilesInWorker(base, tiles);
+    } catch (err) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.INVALID_DELTA,
+        `Invalid delta snapshot ${sequenceNumber}: ${err.message}`,
+        true
+      );
+      return;
+    }
+
+    // The compressed bytes only hold the tiles, so the composed image is stored uncompressed
+    acknowledge(metadata, onSnapshot(metadata, composed, undefined, tiles));
+  }
+
+  /**
+   * Acknowledge a snapshot with the status returned by the snapshot callback
+   * @param {Object} metadata - Snapshot metadata
+   * @param {{status: string, details: Object}|undefined} result - onSnapshot return value
+   * @returns {void}
+   */
+  function acknowledge(metadata, result) {
+    const details =
+      metadata.pageIndex === undefined
+        ? result?.details
+        : { ...result?.details, pageIndex: metadata.pageIndex };
+    sendAck(metadata.sequenceNumber, result?.status, details);
+  }
+
+  /**
+   * Report a snapshot that could not be processed with an error ACK, optionally asking
+   * the host to send it again
+   * @param {Object} metadata - Snapshot metadata (sessionId and sequenceNumber)
+   * @param {string} errorCode - One of ERROR_CODES
+   * @param {string} message - Error message
+   * @param {boolean} [retryable=false] - Whether a resend could succeed
+   * @returns {void}
+   */
+  function rejectSnapshot(metadata, errorCode, message, retryable = false) {
+    const { sessionId, sequenceNumber, pageIndex } = metadata;
+
+    sendError(sequenceNumber, errorCode, message);
+    onError(new Error(message));
+
+    if (!retryable || sequenceNumber === undefined) return;
+
+    const key = snapshotKey(metadata);
+    const attempt = (resendAttempts.get(key) || 0) + 1;
+
+    if (attempt > MAX_RESEND_ATTEMPTS) {
+      resendAttempts.delete(key);
+      log.warn(`Giving up on sequence ${sequenceNumber} after ${MAX_RESEND_ATTEMPTS} resends`);
+      return;
+    }
+
+    resendAttempts.set(key, attempt);
+    sendResendRequest(sessionId, sequenceNumber, errorCode, attempt, pageIndex);
+  }
+
+  /**
+   * Take a length-prefixed binary payload following the JSON line off the buffer
+   * @param {number} newlineIndex - Index of newline after JSON
+   * @returns {Buffer|null} The payload, or null if it has not fully arrived yet
+   */
+  function readPayload(newlineIndex) {
     const dataStart = newlineIndex + 1;
     const lengthPrefixSize = 8;
 
     if (buffer.length < dataStart + lengthPrefixSize) {
-      return false;
+      return null;
     }
 
     const dataSize = buffer.readBigInt64LE(dataStart);
     const totalSize = dataStart + lengthPrefixSize + Number(dataSize);
 
     if (buffer.length < totalSize) {
+      return null;
+    }
+
+    const payload = buffer.subarray(dataStart + lengthPrefixSize, totalSize);
+    buffer = buffer.subarray(totalSize);
+    return payload;
+  }
+
+  /**
+   * Start a chunked snapshot transfer by allocating its full-size buffer up front
+   * @param {Object} metadata - snapshot_begin message with the snapshot metadata and totalSize
+   * @returns {void}
+   */
+  function beginTransfer(metadata) {
+    const { transferId, totalSize } = metadata;
+
+    if (!features.chunking) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.FEATURE_NOT_NEGOTIATED,
+        'Chunked transfers were not negotiated'
+      );
+      return;
+    }
+    if (!transferId) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.INVALID_TRANSFER,
+        'snapshot_begin is missing transferId'
+      );
+      return;
+    }
+    if (!Number.isSafeInteger(totalSize) || totalSize < 0) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.INVALID_TRANSFER,
+        `Invalid totalSize for transfer ${transferId}: ${totalSize}`
+      );
+      return;
+    }
+    if (transfers.has(transferId)) {
+      log.warn(`Restarting transfer ${transferId}, discarding the partial data`);
+    }
+
+    let data;
+    try {
+      data = Buffer.allocUnsafe(totalSize);
+    } catch (err) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.ALLOCATION_FAILED,
+        `Cannot allocate ${totalSize} bytes for transfer ${transferId}: ${err.message}`
+      );
+      return;
+    }
+
+    transfers.set(transferId, { metadata, data, receivedBytes: 0, ranges: [] });
+    log.debug(
+      `Transfer ${transferId} started: ${totalSize} bytes for session ${metadata.sessionId}`
+    );
+  }
+
+  /**
+   * Copy one chunk of a chunked transfer into place
+   * @param {Object} metadata - snapshot_chunk message with transferId and offset
+   * @param {number} newlineIndex - Index of newline after JSON
+   * @returns {boolean} False if the chunk payload has not fully arrived yet
+   */
+  function parseChunk(metadata, newlineIndex) {
+    const chunk = readPayload(newlineIndex);
+    if (!chunk) {
       return false;
     }
 
-    const binaryData = buffer.subarray(dataStart + lengthPrefixSize, totalSize);
+    const { transferId, offset } = metadata;
+    const transfer = transfers.get(transferId);
 
-    buffer = buffer.subarray(totalSize);
+    if (!transfer) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.UNKNOWN_TRANSFER,
+        `Received chunk for unknown transfer ${transferId}`
+      );
+      return true;
+    }
+    if (
+      !Number.isSafeInteger(offset) ||
+      offset < 0 ||
+      offset + chunk.length > transfer.data.length
+    ) {
+      transfers.delete(transferId);
+      rejectSnapshot(
+        transfer.metadata,
+        ERROR_CODES.CHUNK_OUT_OF_RANGE,
+        `Chunk at offset ${offset} (${chunk.length} bytes) is outside transfer ${transferId} ` +
+          `of ${transfer.data.length} bytes`,
+        true
+      );
+      return true;
+    }
 
-    if (metadata.checksum !== undefined) {
-      const calculatedChecksum = calculateCRC32(binaryData);
-      if (calculatedChecksum !== metadata.checksum) {
-        onError(
-          new Error(`Checksum mismatch: expected ${metadata.checksum}, got ${calculatedChecksum}`)
+    if (!addRange(transfer.ranges, offset, offset + chunk.length)) {
+      transfers.delete(transferId);
+      rejectSnapshot(
+        transfer.metadata,
+        ERROR_CODES.CHUNK_OVERLAP,
+        `Chunk at offset ${offset} (${chunk.length} bytes) overlaps data already received ` +
+          `for transfer ${transferId}`,
+        true
+      );
+      return true;
+    }
+
+    chunk.copy(transfer.data, offset);
+    transfer.receivedBytes += chunk.length;
+    return true;
+  }
+
+  /**
+   * Finish a chunked transfer, verify it and hand the snapshot on
+   * @param {Object} metadata - snapshot_end message with transferId and optional checksum
+   * @returns {Promise<void>}
+   */
+  async function endTransfer(metadata) {
+    const { transferId, checksum } = metadata;
+    const transfer = transfers.get(transferId);
+
+    if (!transfer) {
+      rejectSnapshot(
+        metadata,
+        ERROR_CODES.UNKNOWN_TRANSFER,
+        `Received snapshot_end for unknown transfer ${transferId}`
+      );
+      return;
+    }
+
+    transfers.delete(transferId);
+    const { data, receivedBytes } = transfer;
+
+    if (receivedBytes !== data.length) {
+      rejectSnapshot(
+        transfer.metadata,
+        ERROR_CODES.TRANSFER_INCOMPLETE,
+        `Transfer ${transferId} incomplete: received ${receivedBytes} of ${data.length} bytes`,
+        true
+      );
+      return;
+    }
+
+    if (checksum !== undefined) {
+      const calculatedChecksum = calculateCRC32(data);
+      if (calculatedChecksum !== checksum) {
+        rejectSnapshot(
+          transfer.metadata,
+          ERROR_CODES.CHECKSUM_MISMATCH,
+          `Checksum mismatch for transfer ${transferId}: expected ${checksum}, got ${calculatedChecksum}`,
+          true
         );
-        return true;
+        return;
       }
     }
 
-    sendAck(metadata.sequenceNumber);
-    onSnapshot(metadata, binaryData);
-    return true;
+    log.debug(`Transfer ${transferId} complete: ${data.length} bytes`);
+    await deliverSnapshot(transfer.metadata, data);
+  }
+
+  /**
+   * Drop in-progress transfers of a closed session
+   * @param {string} sessionId
+   * @returns {void}
+   */
+  function discardTransfers(sessionId) {
+    for (const [transferId, transfer] of transfers) {
+      if (transfer.metadata.sessionId === sessionId) {
+        transfers.delete(transferId);
+        log.debug(`Discarded transfer ${transferId} of closed session ${sessionId}`);
+      }
+    }
   }
 
   /**
    * Append data to buffer and process all complete messages
+   *
+   * Calls are queued behind each other, so a message is fully handled (including async
+   * decoding) before the next one is parsed and snapshots are delivered in arrival order.
    * @param {Buffer} data
    * @returns {Promise<void>}
    */
-  async function processData(data) {
-    buffer = Buffer.concat([buffer, data]);
+  function processData(data) {
+    const run = processing.then(async () => {
+      buffer = Buffer.concat([buffer, data]);
 
-    while (await parseMessage()) {
-      // Continue processing messages until buffer is exhausted
+      while (await parseMessage()) {
+        // Continue processing messages until buffer is exhausted
+      }
+    });
+
+    // A failed chunk must not stall the ones queued after it
+    processing = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Handle a chunk of data from the input stream
+   * @param {Buffer} chunk
+   * @returns {Promise<void>}
+   */
+  async function handleData(chunk) {
+    try {
+      await processData(chunk);
+    } catch (err) {
+      onError(err);
     }
   }
 
   /**
-   * Start listening for data on stdin
+   * Start listening for data from the host
+   * @param {import('stream').Readable} [stream=process.stdin] - Control channel to read from
    * @returns {void}
    */
-  function start() {
+  function start(stream = process.stdin) {
     if (started) return;
     started = true;
+    input = stream;
 
     log.debug('Starting protocol parser');
 
-    process.stdin.on('data', async (chunk) => {
-      try {
-        await processData(chunk);
-      } catch (err) {
-        onError(err);
-      }
-    });
-
-    process.stdin.on('error', (err) => {
-      onError(err);
-    });
+    input.on('data', handleData);
+    input.on('error', onError);
   }
 
   /**
@@ -219,9 +758,24 @@ export function createProtocolParser(options) {
    * @returns {void}
    */
   function stop() {
+    if (!started) return;
     started = false;
-    process.stdin.removeAllListeners('data');
-    process.stdin.removeAllListeners('error');
+    input.off('data', handleData);
+    input.off('error', onError);
+    input = null;
+  }
+
+  /**
+   * Forget all per-connection state so a new host connection starts with a fresh handshake
+   * @returns {void}
+   */
+  function reset() {
+    buffer = Buffer.alloc(0);
+    protocolAccepted = false;
+    handshakeComplete = false;
+    features = null;
+    transfers.clear();
+    resendAttempts.clear();
   }
 
   /**
@@ -235,42 +789,71 @@ export function createProtocolParser(options) {
   return {
     start,
     stop,
+    reset,
     processData,
     isReady
   };
 }
 
 /**
- * Calculate CRC32 checksum for data integrity verification
- * @param {Buffer} data
- * @returns {number}
+ * Build the key that identifies one snapshot payload, including its page for
+ * multi-page snapshots
+ * @param {Object} metadata - Snapshot metadata
+ * @returns {string}
  */
-function calculateCRC32(data) {
-  let crc = 0xffffffff;
-  const table = getCRC32Table();
+function snapshotKey(metadata) {
+  const key = `${metadata.sessionId}:${metadata.sequenceNumber}`;
+  return metadata.pageIndex === undefined ? key : `${key}:${metadata.pageIndex}`;
+}
 
-  for (let i = 0; i < data.length; i++) {
-    crc = (crc >>> 8) ^ table[(crc ^ data[i]) & 0xff];
-  }
+/**
+ * Validate the pageIndex and pageCount fields of a snapshot
+ * @param {Object} metadata - Snapshot metadata
+ * @returns {string|null} Error message, or null if valid
+ */
+function validatePages(metadata) {
+  const { pageIndex, pageCount } = metadata;
 
-  return (crc ^ 0xffffffff) >>> 0;
+  if (pageIndex === undefined && pageCount === undefined) return null;
+  if (!Number.isInteger(pageCount) || pageCount < 1) {
+    return `Snapshot ${metadata.sequenceNumber}: pageCount must be a positive integer`;
+  }
+  if (!Number.isInteger(pageIndex) || pageIndex < 0 || pageIndex >= pageCount) {
+    return `Snapshot ${metadata.sequenceNumber}: pageIndex must be between 0 and ${pageCount - 1}`;
+  }
+  return null;
 }
 
 /**
- * Get or generate the CRC32 lookup table
- * @returns {Uint32Array}
+ * Record the byte range of a chunk among the ranges received so far
+ *
+ * Chunks usually arrive in order, so the search starts from the end.
+ * @param {Array<Array<number>>} ranges - Sorted, merged [start, end) ranges, updated in place
+ * @param {number} start - First byte of the chunk
+ * @param {number} end - Byte after the chunk
+ * @returns {boolean} False, leaving ranges unchanged, if the chunk overlaps a received range
  */
-let crc32Table = null;
-function getCRC32Table() {
-  if (crc32Table) return crc32Table;
+function addRange(ranges, start, end) {
+  if (start === end) return true;
+
+  let index = ranges.length;
+  while (index > 0 && ranges[index - 1][0] >= end) index--;
+
+  const previous = ranges[index - 1];
+  const next = ranges[index];
+
+  if (previous && previous[1] > start) return false;
 
-  crc32Table = new Uint32Array(256);
-  for (let i = 0; i < 256; i++) {
-    let c = i;
-    for (let j = 0; j < 8; j++) {
-      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  if (previous && previous[1] === start) {
+    previous[1] = end;
+    if (next && next[0] === end) {
+      previous[1] = next[1];
+      ranges.splice(index, 1);
     }
-    crc32Table[i] = c;
+  } else if (next && next[0] === end) {
+    next[0] = start;
+  } else {
+    ranges.splice(index, 0, [start, end]);
   }
-  return crc32Table;
+  return true;
 }
@@ -0,0 +1,143 @@
+import { createServer } from 'net';
+import { lstat, unlink } from 'fs/promises';
+import { createLogger } from '../../logger.js';
+
+const log = createLogger('socket');
+
+const DEFAULT_HOST = 'localhost';
+
+/**
+ * @typedef {Object} ListenAddress
+ * @property {number} [port] - TCP port
+ * @property {string} [host] - TCP bind host
+ * @property {string} [path] - Unix domain socket path or Windows named pipe
+ */
+
+/**
+ * Parse a --listen value: a port, host:port, or a socket path
+ * @param {string} value
+ * @returns {ListenAddress}
+ */
+export function parseListenAddress(value) {
+  const text = String(value);
+
+  if (/^\d+$/.test(text)) {
+    return { host: DEFAULT_HOST, port: parseInt(text, 10) };
+  }
+
+  const match = /^([^/\\]+):(\d+)$/.exec(text);
+  if (match) {
+    return { host: match[1].replace(/^\[(.*)\]$/, '$1'), port: parseInt(match[2], 10) };
+  }
+
+  return { path: text };
+}
+
+/**
+ * Describe a listen address for log messages
+ * @param {ListenAddress} address
+ * @returns {string}
+ */
+export function formatListenAddress(address) {
+  return address.path ?? `${address.host}:${address.port}`;
+}
+
+/**
+ * Remove a socket file left behind by a previous run
+ * @param {string} path
+ * @returns {Promise<void>}
+ */
+async function removeStaleSocket(path) {
+  try {
+    if ((await lstat(path)).isSocket()) {
+      await unlink(path);
+      log.debug(`Removed stale socket ${path}`);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+}
+
+/**
+ * Create a listener that accepts host connections on a TCP port or a Unix domain socket
+ * @param {Object} options
+ * @param {ListenAddress} options.address - Where to listen
+ * @param {Function} options.onConnection - Called with the socket of a newly connected host
+ * @param {Function} options.onDisconnect - Called with the socket of a host that went away
+ * @returns {Object}
+ */
+export function createSocketListener(options) {
+  const { address, onConnection, onDisconnect } = options;
+
+  /** @type {import('net').Server|null} */
+  let server = null;
+  /** @type {Set<import('net').Socket>} */
+  const sockets = new Set();
+
+  /**
+   * Hand a new host connection over to the caller
+   * @param {import('net').Socket} socket
+   * @returns {void}
+   */
+  function accept(socket) {
+    const remote = socket.remoteAddress ? `${socket.remoteAddress}:${socket.remotePort}` : 'socket';
+    log.info(`Host connected from ${remote}`);
+
+    sockets.add(socket);
+    if (!address.path) socket.setNoDelay(true);
+
+    socket.on('error', (err) => {
+      log.warn(`Host connection error: ${err.message}`);
+    });
+
+    socket.on('close', () => {
+      sockets.delete(socket);
+      log.info(`Host disconnected from ${remote}`);
+      onDisconnect(socket);
+    });
+
+    onConnection(socket);
+  }
+
+  /**
+   * Start listening for hosts
+   * @returns {Promise<void>}
+   */
+  async function start() {
+    if (address.path) {
+      await removeStaleSocket(address.path);
+    }
+
+    server = createServer(accept);
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(address.path ? { path: address.path } : address, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    log.info(`Listening for hosts on ${formatListenAddress(address)}`);
+  }
+
+  /**
+   * Stop listening and drop connected hosts
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    if (!server) return;
+
+    for (const socket of sockets) {
+      socket.destroy();
+    }
+
+    await new Promise((resolve) => server.close(() => resolve()));
+    server = null;
+  }
+
+  return {
+    start,
+    stop
+  };
+}
@@ -0,0 +1,155 @@
+import { randomUUID } from 'crypto';
+import { createLogger } from '../logger.js';
+import { sendToClient } from './websocket.js';
+
+const log = createLogger('client-requests');
+
+/** Fail a forwarded request the host has not answered after this long */
+const REQUEST_TIMEOUT_MS = 30000;
+
+const OUTPUT_FORMATS = ['png', 'html', 'pdf'];
+
+const MAX_DPI = 1200;
+
+/**
+ * Create a broker that forwards browser requests to the host and routes the
+ * answers back to the tab that asked
+ * @param {Object} options
+ * @param {Function} options.hasSession - Returns whether a session exists
+ * @param {Function} options.hasHost - Returns whether a host is connected to answer requests
+ * @param {Function} options.sendToHost - Writes a client_request message to the host
+ * @returns {Object}
+ */
+export function createClientRequestBroker(options) {
+  const { hasSession, hasHost, sendToHost } = options;
+
+  /** @type {Map<string, {ws: import('ws').WebSocket, clientRequestId: string, timer: Object}>} */
+  const pending = new Map();
+
+  /**
+   * Send a client_response to the tab that made a request
+   * @param {import('ws').WebSocket} ws
+   * @param {string} clientRequestId - Request ID chosen by the tab
+   * @param {Object} response - success plus result or error
+   * @returns {void}
+   */
+  function reply(ws, clientRequestId, response) {
+    sendToClient(ws, {
+      type: 'client_response',
+      requestId: clientRequestId,
+      ...response
+    });
+  }
+
+  /**
+   * Validate a browser request and forward it to the host
+   * @param {import('ws').WebSocket} ws - Requesting client
+   * @param {Object} message - client_request message from the browser
+   * @returns {void}
+   */
+  function forward(ws, message) {
+    const clientRequestId = message.requestId;
+    const validationError = validateRequest(message);
+
+    if (validationError) {
+      log.debug(`Rejected client request ${clientRequestId}: ${validationError}`);
+      reply(ws, clientRequestId, { success: false, error: validationError });
+      return;
+    }
+
+    if (!hasSession(message.sessionId)) {
+      reply(ws, clientRequestId, { success: false, error: 'Session not found' });
+      return;
+    }
+
+    // Nothing would answer, so fail now rather than when the request times out
+    if (!hasHost()) {
+      reply(ws, clientRequestId, { success: false, error: 'No host connected' });
+      return;
+    }
+
+    const requestId = randomUUID();
+    const timer = setTimeout(() => {
+      pending.delete(requestId);
+      log.warn(`Client request ${requestId} timed out`);
+      reply(ws, clientRequestId, { success: false, error: 'Host did not respond in time' });
+    }, REQUEST_TIMEOUT_MS);
+    timer.unref();
+
+    pending.set(requestId, { ws, clientRequestId, timer });
+
+    sendToHost({
+      requestId,
+      sessionId: message.sessionId,
+      action: message.action,
+      parameters: message.parameters
+    });
+  }
+
+  /**
+   * Route the host's answer back to the requesting tab
+   * @param {Object} response - client_response message from the host
+   * @returns {void}
+   */
+  function resolve(response) {
+    const entry = pending.get(response.requestId);
+
+    if (!entry) {
+      log.debug(`Ignoring response to unknown client request ${response.requestId}`);
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    pending.delete(response.requestId);
+
+    reply(
+      entry.ws,
+      entry.clientRequestId,
+      response.success
+        ? { success: true, result: response.result ?? null }
+        : { success: false, error: response.error || 'Request failed' }
+    );
+  }
+
+  return {
+    forward,
+    resolve
+  };
+}
+
+/**
+ * Validate a client_request message from the browser
+ * @param {Object} message
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRequest(message) {
+  if (typeof message.sessionId !== 'string' || message.sessionId === '') {
+    return 'sessionId is required';
+  }
+
+  if (message.action !== 'rerender') {
+    return `Unsupported action: ${message.action}`;
+  }
+
+  const parameters = message.parameters;
+  if (typeof parameters !== 'object' || parameters === null || Array.isArray(parameters)) {
+    return 'parameters must be an object';
+  }
+
+  const { dpi, outputFormat, pageIndex } = parameters;
+
+  if (dpi === undefined && outputFormat === undefined && pageIndex === undefined) {
+    return 'Specify at least one of dpi, outputFormat or pageIndex';
+  }
+  if (dpi !== undefined && !(Number.isFinite(dpi) && dpi > 0 && dpi <= MAX_DPI)) {
+    return `dpi must be a number between 1 and ${MAX_DPI}`;
+  }
+  if (outputFormat !== undefined && !OUTPUT_FORMATS.includes(outputFormat)) {
+    return `outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`;
+  }
+  if (pageIndex !== undefined && !(Number.isInteger(pageIndex) && pageIndex >= 0)) {
+    return 'pageIndex must be a non-negative integer';
+  }
+
+  return null;
+}
@@ -1,8 +1,13 @@
-import { sessionStore } from '../session/store.js';
+import { sessionStore, getFramePage, SESSION_COLORS } from '../session/store.js';
 import { createLogger } from '../logger.js';
+import { broadcast } from './websocket.js';
+import { isPng } from '../image/png.js';
+import { diffPngsInWorker } from '../image/diff.js';
 
 const log = createLogger('routes');
 
+const MAX_LABEL_LENGTH = 100;
+
 /**
  * Register all API routes on the Fastify server
  * @param {import('fastify').FastifyInstance} server
@@ -38,18 +43,11 @@ export function registerRoutes(server) {
 
       sessionStore.markAsViewed(sessionId);
 
-      reply.header('Content-Type', session.mimeType || 'application/octet-stream');
-      reply.header('X-Document-Type', session.documentType || 'unknown');
-      reply.header('X-Original-Path', encodeURIComponent(session.originalPath || ''));
-      reply.header('X-Output-Format', session.outputFormat || 'unknown');
-      reply.header('X-Timestamp', session.timestamp || new Date().toISOString());
-      reply.header('X-Sequence-Number', (session.sequenceNumber || 0).toString());
-
       log.debug(
         `Returning snapshot for session ${sessionId}, ${session.data.length} bytes, mimeType: ${session.mimeType}`
       );
 
-      return reply.send(session.data);
+      return sendFrame(request, reply, session, sessionStore.getLatestFrame(sessionId));
     } catch (err) {
       log.error(`Error getting snapshot for session ${sessionId}:`, err);
       reply.code(500);
@@ -57,28 +55,182 @@ export function registerRoutes(server) {
     }
   });
 
-  server.get('/api/sessions/:sessionId/info', async (request, reply) => {
+  server.get('/api/sessions/:sessionId/snapshots', async (request, reply) => {
     const { sessionId } = request.params;
-    const session = sessionStore.getSession(sessionId);
+    const snapshots = sessionStore.getHistory(sessionId);
 
-    if (!session) {
+    if (!snapshots) {
       reply.code(404);
       return { error: 'Session not found' };
     }
 
     return {
-      sessionId: session.sessionId,
-      documentType: session.documentType,
-      originalPath: session.originalPath,
-      outputFormat: session.outputFormat,
-      mimeType: session.mimeType,
-      timestamp: session.timestamp,
-      sequenceNumber: session.sequenceNumber,
-      dataSize: session.data.length,
-      hasUpdate: session.hasUpdate
+      sessionId,
+      snapshots
     };
   });
 
+  server.get('/api/sessions/:sessionId/snapshots/:sequenceNumber', async (request, reply) => {
+    const { sessionId } = request.params;
+    const sequenceNumber = parseInt(request.params.sequenceNumber, 10);
+
+    const session = sessionStore.getSession(sessionId);
+    if (!session) {
+      reply.code(404);
+      return { error: 'Session not found' };
+    }
+
+    const frame = sessionStore.getFrame(sessionId, sequenceNumber);
+    if (!frame) {
+      log.debug(`Snapshot ${request.params.sequenceNumber} not found for session ${sessionId}`);
+      reply.code(404);
+      return { error: 'Snapshot not found' };
+    }
+
+    // Live PDFs load through this route, so serving the latest frame counts as viewing it
+    if (frame === sessionStore.getLatestFrame(sessionId)) {
+      sessionStore.markAsViewed(sessionId);
+    }
+
+    return sendFrame(request, reply, session, frame);
+  });
+
+  server.get(
+    '/api/sessions/:sessionId/snapshots/:sequenceNumber/tiles/:tileIndex',
+    async (request, reply) => {
+      const { sessionId } = request.params;
+      const sequenceNumber = parseInt(request.params.sequenceNumber, 10);
+      const tileIndex = parseInt(request.params.tileIndex, 10);
+      const pageIndex = parsePageIndex(request.query.page);
+
+      if (pageIndex === null) {
+        reply.code(400);
+        return { error: 'page must be a non-negative integer' };
+      }
+
+      const frame = sessionStore.getFrame(sessionId, sequenceNumber);
+      const tile = frame && getFramePage(frame, pageIndex)?.delta?.tiles[tileIndex];
+
+      if (!tile) {
+        log.debug(`Tile ${request.params.tileIndex} of snapshot ${sequenceNumber} not found`);
+        reply.code(404);
+        return { error: 'Tile not found' };
+      }
+
+      reply.header('Content-Type', 'image/png');
+      reply.header('Cache-Control', 'no-cache');
+      return reply.send(tile.data);
+    }
+  );
+
+  server.get('/api/sessions/:sessionId/diff', async (request, reply) => {
+    const { sessionId } = request.params;
+    const history = sessionStore.getHistory(sessionId);
+
+    if (!history) {
+      reply.code(404);
+      return { error: 'Session not found' };
+    }
+
+    const pageIndex = parsePageIndex(request.query.page);
+    if (pageIndex === null) {
+      reply.code(400);
+      return { error: 'page must be a non-negative integer' };
+    }
+
+    const to =
+      request.query.to !== undefined
+        ? parseInt(request.query.to, 10)
+        : history[history.length - 1]?.sequenceNumber;
+    const toIndex = history.findIndex((frame) => frame.sequenceNumber === to);
+    const from =
+      request.query.from !== undefined
+        ? parseInt(request.query.from, 10)
+        : history[toIndex - 1]?.sequenceNumber;
+
+    const beforeFrame = sessionStore.getFrame(sessionId, from);
+    const afterFrame = sessionStore.getFrame(sessionId, to);
+    const before = beforeFrame && getFramePage(beforeFrame, pageIndex);
+    const after = afterFrame && getFramePage(afterFrame, pageIndex);
+
+    if (!before || !after) {
+      reply.code(404);
+      return { error: 'Snapshot not found' };
+    }
+
+    if (!isPng(before.data) || !isPng(after.data)) {
+      reply.code(422);
+      return { error: 'Changed-region summary is only available for PNG snapshots' };
+    }
+
+    try {
+      const summary = await diffPngsInWorker(before.data, after.data);
+      log.debug(
+        `Diff ${from} -> ${to} for session ${sessionId}: ${summary.regions.length} regions`
+      );
+
+      return {
+        sessionId,
+        from,
+        to,
+        page: pageIndex,
+        ...summary
+      };
+    } catch (err) {
+      log.error(`Error diffing snapshots for session ${sessionId}:`, err);
+      reply.code(500);
+      return { error: `Internal error: ${err.message}` };
+    }
+  });
+
+  server.get('/api/sessions/:sessionId/info', async (request, reply) => {
+    const { sessionId } = request.params;
+    const info = sessionStore.getSessionInfo(sessionId);
+
+    if (!info) {
+      reply.code(404);
+      return { error: 'Session not found' };
+    }
+
+    return info;
+  });
+
+  server.patch('/api/sessions/:sessionId', async (request, reply) => {
+    const { sessionId } = request.params;
+    const body = request.body || {};
+
+    if (!sessionStore.getSession(sessionId)) {
+      reply.code(404);
+      return { error: 'Session not found' };
+    }
+
+    const validationError = validateSessionAttributes(body);
+    if (validationError) {
+      reply.code(400);
+      return { error: validationError };
+    }
+
+    const session = sessionStore.updateAttributes(sessionId, {
+      label: typeof body.label === 'string' ? body.label.trim() || null : body.label,
+      color: body.color,
+      pinned: body.pinned
+    });
+
+    const attributes = {
+      sessionId,
+      label: session.label,
+      color: session.color,
+      pinned: session.pinned
+    };
+
+    broadcast({
+      type: 'session_updated',
+      ...attributes
+    });
+
+    return attributes;
+  });
+
   server.post('/api/sessions/:sessionId/viewed', async (request, _reply) => {
     const { sessionId } = request.params;
     sessionStore.markAsViewed(sessionId);
@@ -89,9 +241,222 @@ export function registerRoutes(server) {
     return {
       status: 'ok',
       sessions: sessionStore.size,
+      memory: sessionStore.getMemoryStats(),
       uptime: process.uptime()
     };
   });
 
   log.debug('Routes registered');
 }
+
+/**
+ * Validate the body of a session PATCH request
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSessionAttributes(body) {
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return 'Request body must be a JSON object';
+  }
+
+  if (body.label !== undefined && body.label !== null) {
+    if (typeof body.label !== 'string') return 'label must be a string or null';
+    if (body.label.length > MAX_LABEL_LENGTH) {
+      return `label must be at most ${MAX_LABEL_LENGTH} characters`;
+    }
+  }
+
+  if (body.color !== undefined && body.color !== null && !SESSION_COLORS.includes(body.color)) {
+    return `color must be one of: ${SESSION_COLORS.join(', ')}`;
+  }
+
+  if (body.pinned !== undefined && typeof body.pinned !== 'boolean') {
+    return 'pinned must be a boolean';
+  }
+
+  return null;
+}
+
+/**
+ * Parse the `page` query parameter of a snapshot request
+ * @param {string|undefined} value - Query parameter value
+ * @returns {number|null} Zero-based page index (0 if absent), or null if invalid
+ */
+function parsePageIndex(value) {
+  if (value === undefined) return 0;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Send a page of a snapshot frame with validators, answering conditional requests with 304
+ * and byte-range requests with 206
+ *
+ * The page comes from the `page` query parameter and defaults to the first one. Pages the
+ * host sent compressed are passed through with a matching Content-Encoding when the
+ * browser accepts it, unless the `encoding=identity` query parameter asks for the decoded
+ * bytes (clients that load in ranges turn range loading off when they see a
+ * Content-Encoding). Range requests always get the decoded bytes.
+ * @param {import('fastify').FastifyRequest} request
+ * @param {import('fastify').FastifyReply} reply
+ * @param {import('../session/store.js').SessionSnapshot} session - Session the frame belongs to
+ * @param {import('../session/store.js').SnapshotFrame} frame - Frame to send
+ * @returns {import('fastify').FastifyReply|Object}
+ */
+function sendFrame(request, reply, session, frame) {
+  const pageIndex = parsePageIndex(request.query.page);
+  if (pageIndex === null) {
+    reply.code(400);
+    return { error: 'page must be a non-negative integer' };
+  }
+
+  const page = getFramePage(frame, pageIndex);
+  if (!page) {
+    log.debug(`Page ${pageIndex} of snapshot ${frame.sequenceNumber} not available`);
+    reply.code(404);
+    return { error: 'Page not found' };
+  }
+
+  const rangeHeader = request.headers.range;
+  const encoding =
+    page.encodedData &&
+    !rangeHeader &&
+    request.query.encoding !== 'identity' &&
+    acceptsEncoding(request.headers['accept-encoding'], page.encoding)
+      ? page.encoding
+      : null;
+  // The compressed body differs byte-wise from the decoded one, so its tag is weak
+  const etag = encoding ? `W/"${page.hash}"` : `"${page.hash}"`;
+  // HTTP dates have second precision, so drop the milliseconds before comparing
+  const lastModified = Math.floor(frame.receivedAt / 1000) * 1000;
+
+  reply.header('ETag', etag);
+  reply.header('Last-Modified', new Date(lastModified).toUTCString());
+  reply.header('Cache-Control', 'no-cache');
+  reply.header('Accept-Ranges', 'bytes');
+  if (page.encodedData) {
+    reply.header('Vary', 'Accept-Encoding');
+  }
+  reply.header('X-Document-Type', session.documentType || 'unknown');
+  reply.header('X-Original-Path', encodeURIComponent(session.originalPath || ''));
+  reply.header('X-Output-Format', frame.outputFormat || 'unknown');
+  reply.header('X-Timestamp', frame.timestamp || new Date(frame.receivedAt).toISOString());
+  reply.header('X-Sequence-Number', (frame.sequenceNumber || 0).toString());
+  reply.header('X-Page-Index', pageIndex.toString());
+  reply.header('X-Page-Count', frame.pageCount.toString());
+
+  const ifNoneMatch = request.headers['if-none-match'];
+  const ifModifiedSince = request.headers['if-modified-since'];
+
+  const notModified = ifNoneMatch
+    ? etagMatches(ifNoneMatch, etag)
+    : ifModifiedSince !== undefined && Date.parse(ifModifiedSince) >= lastModified;
+
+  if (notModified) {
+    log.debug(`Snapshot ${frame.sequenceNumber} of session ${session.sessionId} not modified`);
+    return reply.code(304).send();
+  }
+
+  reply.header('Content-Type', frame.mimeType || 'application/octet-stream');
+
+  if (encoding) {
+    reply.header('Content-Encoding', encoding);
+    return reply.send(page.encodedData);
+  }
+
+  const ifRange = request.headers['if-range'];
+  const rangeApplies = rangeHeader && (!ifRange || ifRangeMatches(ifRange, etag));
+
+  if (rangeApplies) {
+    const size = page.data.length;
+    const range = parseRange(rangeHeader, size);
+
+    if (range === null) {
+      reply.header('Content-Range', `bytes */${size}`);
+      return reply.code(416).send();
+    }
+
+    if (range) {
+      log.debug(
+        `Returning bytes ${range.start}-${range.end}/${size} of snapshot ${frame.sequenceNumber}`
+      );
+      reply.header('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      return reply.code(206).send(page.data.subarray(range.start, range.end + 1));
+    }
+  }
+
+  return reply.send(page.data);
+}
+
+/**
+ * Parse a single-range `Range: bytes=...` header
+ * @param {string} header - Range header value
+ * @param {number} size - Total size of the entity
+ * @returns {{start: number, end: number}|null|undefined} The range, null if unsatisfiable,
+ *   or undefined if the header should be ignored (unsupported unit or multiple ranges)
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return undefined;
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return null;
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return null;
+  return { start, end };
+}
+
+/**
+ * Check whether an Accept-Encoding header allows a content encoding
+ * @param {string|undefined} header - Accept-Encoding header value
+ * @param {string} encoding - Content encoding, e.g. gzip
+ * @returns {boolean}
+ */
+function acceptsEncoding(header, encoding) {
+  if (!header) return false;
+
+  return header.split(',').some((entry) => {
+    const [name, ...params] = entry.trim().split(';');
+    const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    const accepted = !q || parseFloat(q.slice(2)) > 0;
+    return accepted && (name.trim().toLowerCase() === encoding || name.trim() === '*');
+  });
+}
+
+/**
+ * Check an If-Range header against an entity tag
+ *
+ * If-Range needs a strong comparison, so weak tags never match. Dates are not supported
+ * and never match either, which sends the full entity.
+ * @param {string} header - If-Range header value
+ * @param {string} etag - Quoted entity tag
+ * @returns {boolean}
+ */
+function ifRangeMatches(header, etag) {
+  const tag = header.trim();
+  return !tag.startsWith('W/') && !etag.startsWith('W/') && tag === etag;
+}
+
+/**
+ * Check an If-None-Match header against an entity tag (weak comparison)
+ * @param {string} header - If-None-Match header value
+ * @param {string} etag - Quoted entity tag
+ * @returns {boolean}
+ */
+function etagMatches(header, etag) {
+  const opaqueTag = etag.replace(/^W\//, '');
+  return header
+    .split(',')
+    .map((tag) => tag.trim())
+    .some((tag) => tag === '*' || tag.replace(/^W\//, '') === opaqueTag);
+}
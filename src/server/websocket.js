@@ -1,25 +1,94 @@
+import { PassThrough } from 'stream';
+import { timingSafeEqual } from 'crypto';
 import { WebSocketServer } from 'ws';
 import { createLogger, setDebug, isDebugEnabled } from '../logger.js';
 
 const log = createLogger('websocket');
 
+const CLIENT_PATH = '/ws';
+const INGEST_PATH = '/ingest';
+
+const NEWLINE = Buffer.from('\n');
+
 /** @type {WebSocketServer|null} */
 let wss = null;
 
+/** @type {WebSocketServer|null} Accepts hosts that push the protocol over WebSocket */
+let ingestWss = null;
+
 /** @type {Set<import('ws').WebSocket>} */
 const clients = new Set();
 
+/** @type {Map<import('ws').WebSocket, string>} Session each client follows live */
+const subscriptions = new Map();
+
+/** @type {Function|null} */
+let onFrameRendered = null;
+
+/** @type {Function|null} */
+let onClientRequest = null;
+
+/**
+ * @typedef {Object} HostChannel
+ * @property {import('stream').Readable} input - Protocol bytes received from the host
+ * @property {Object} output - Writable the ACK writer sends JSON lines through
+ * @property {Function} close - Drop the host connection
+ */
+
 /**
  * Initialize WebSocket server and attach to HTTP server
  * @param {import('fastify').FastifyInstance} server
+ * @param {Object} [options]
+ * @param {Function} [options.onFrameRendered] - Called with sessionId and sequenceNumber when a
+ *   client finishes rendering a live frame
+ * @param {Function} [options.onClientRequest] - Called with the client and its client_request
+ *   message for the host; without it browsers are told not to offer requests
+ * @param {Function} [options.onHostConnection] - Enables the ingest path; called with the
+ *   WebSocket and {@link HostChannel} of a host that connected there
+ * @param {Function} [options.onHostDisconnect] - Called with the WebSocket of a host that went away
+ * @param {string|null} [options.ingestToken] - Bearer token hosts must present on the ingest path
  * @returns {void}
  */
-export function initWebSocket(server) {
+export function initWebSocket(server, options = {}) {
   const httpServer = server.server;
+  onFrameRendered = options.onFrameRendered || null;
+  onClientRequest = options.onClientRequest || null;
+
+  wss = new WebSocketServer({ noServer: true });
 
-  wss = new WebSocketServer({
-    server: httpServer,
-    path: '/ws'
+  if (options.onHostConnection) {
+    ingestWss = new WebSocketServer({ noServer: true });
+    ingestWss.on('connection', (ws, request) => {
+      handleHostConnection(ws, request, options.onHostConnection, options.onHostDisconnect);
+    });
+  }
+
+  // Both servers share the HTTP server, so upgrades are routed by path by hand
+  httpServer.on('upgrade', (request, socket, head) => {
+    const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+    const target = pathname === CLIENT_PATH ? wss : pathname === INGEST_PATH ? ingestWss : null;
+
+    if (!target) {
+      socket.destroy();
+      return;
+    }
+
+    // Hosts are not browsers; a page in the user's browser must never pose as the host
+    if (target === ingestWss && request.headers.origin !== undefined) {
+      log.warn(`Rejected host connection from ${request.headers.origin}: browser origin`);
+      socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    if (target === ingestWss && !isAuthorized(request, searchParams, options.ingestToken)) {
+      log.warn(`Rejected host connection from ${request.socket.remoteAddress}: bad token`);
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    target.handleUpgrade(request, socket, head, (ws) => {
+      target.emit('connection', ws, request);
+    });
   });
 
   wss.on('connection', (ws, _request) => {
@@ -31,6 +100,7 @@ export function initWebSocket(server) {
       JSON.stringify({
         type: 'connected',
         clientId,
+        clientRequests: onClientRequest !== null,
         timestamp: new Date().toISOString()
       })
     );
@@ -47,15 +117,82 @@ export function initWebSocket(server) {
     ws.on('close', () => {
       log.info(`WebSocket client disconnected: ${clientId}`);
       clients.delete(ws);
+      subscriptions.delete(ws);
     });
 
     ws.on('error', (err) => {
       log.error(`WebSocket error for client ${clientId}:`, err);
       clients.delete(ws);
+      subscriptions.delete(ws);
     });
   });
 
-  log.info('WebSocket server initialized');
+  log.info(
+    ingestWss
+      ? `WebSocket server initialized, accepting hosts on ${INGEST_PATH}`
+      : 'WebSocket server initialized'
+  );
+}
+
+/**
+ * Check the token an ingest upgrade request presents
+ * @param {import('http').IncomingMessage} request
+ * @param {URLSearchParams} searchParams
+ * @param {string|null|undefined} token - Expected token, or none to accept every host
+ * @returns {boolean}
+ */
+function isAuthorized(request, searchParams, token) {
+  if (!token) return true;
+
+  const header = request.headers.authorization || '';
+  const presented = header.startsWith('Bearer ') ? header.slice(7) : searchParams.get('token');
+  if (!presented) return false;
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(presented);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * Bridge a host WebSocket to the byte stream the protocol parser reads
+ *
+ * Binary messages carry protocol bytes exactly as on stdin, so a snapshot frame is its JSON
+ * line, length prefix and payload. A text message carries one JSON line. Every outgoing JSON
+ * line is sent back as one text message.
+ * @param {import('ws').WebSocket} ws
+ * @param {import('http').IncomingMessage} request
+ * @param {Function} onHostConnection
+ * @param {Function} [onHostDisconnect]
+ * @returns {void}
+ */
+function handleHostConnection(ws, request, onHostConnection, onHostDisconnect) {
+  const remote = `${request.socket.remoteAddress}:${request.socket.remotePort}`;
+  const input = new PassThrough();
+  log.info(`Host connected over WebSocket from ${remote}`);
+
+  ws.on('message', (data, isBinary) => {
+    input.write(isBinary || data[data.length - 1] === 0x0a ? data : Buffer.concat([data, NEWLINE]));
+  });
+
+  ws.on('close', () => {
+    log.info(`Host disconnected over WebSocket from ${remote}`);
+    input.end();
+    if (onHostDisconnect) onHostDisconnect(ws);
+  });
+
+  ws.on('error', (err) => {
+    log.warn(`Host WebSocket error from ${remote}: ${err.message}`);
+  });
+
+  onHostConnection(ws, {
+    input,
+    output: {
+      write: (text) => {
+        if (ws.readyState === 1) ws.send(String(text).replace(/\n$/, ''));
+      }
+    },
+    close: () => ws.close(1000, 'Another host connected')
+  });
 }
 
 /**
@@ -72,6 +209,28 @@ function handleClientMessage(ws, message) {
 
   case 'subscribe':
     log.debug(`Client subscribed to session: ${message.sessionId}`);
+    if (message.sessionId) {
+      subscriptions.set(ws, message.sessionId);
+    } else {
+      subscriptions.delete(ws);
+    }
+    break;
+
+  case 'frame_rendered':
+    if (onFrameRendered) onFrameRendered(message.sessionId, message.sequenceNumber);
+    break;
+
+  case 'client_request':
+    if (onClientRequest) {
+      onClientRequest(ws, message);
+    } else {
+      sendToClient(ws, {
+        type: 'client_response',
+        requestId: message.requestId,
+        success: false,
+        error: 'Requests to the host are not available'
+      });
+    }
     break;
 
   case 'set_debug':
@@ -128,12 +287,21 @@ export function closeAllConnections() {
     client.close(1000, 'Server shutting down');
   }
   clients.clear();
+  subscriptions.clear();
 
   if (wss) {
     wss.close();
     wss = null;
   }
 
+  if (ingestWss) {
+    for (const host of ingestWss.clients) {
+      host.close(1000, 'Server shutting down');
+    }
+    ingestWss.close();
+    ingestWss = null;
+  }
+
   log.info('All WebSocket connections closed');
 }
 
@@ -144,3 +312,16 @@ export function closeAllConnections() {
 export function getClientCount() {
   return clients.size;
 }
+
+/**
+ * Get the number of clients following a session live
+ * @param {string} sessionId
+ * @returns {number}
+ */
+export function getViewerCount(sessionId) {
+  let count = 0;
+  for (const subscribed of subscriptions.values()) {
+    if (subscribed === sessionId) count++;
+  }
+  return count;
+}
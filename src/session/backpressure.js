@@ -0,0 +1,239 @@
+import { createLogger } from '../logger.js';
+
+const log = createLogger('backpressure');
+
+/** Release a frame that no client reported as rendered after this long */
+const RENDER_TIMEOUT_MS = 10000;
+
+/** Weight of the newest render time in the moving average */
+const RENDER_TIME_SMOOTHING = 0.3;
+
+/** Report a new sustainable interval once it drifts this far from the last report */
+const RATE_CHANGE_THRESHOLD = 0.2;
+
+/**
+ * @typedef {Object} PendingFrame
+ * @property {Object} metadata - Snapshot metadata
+ * @property {Buffer} data - Decoded snapshot data
+ * @property {{encoding: string, data: Buffer}} [encoded] - Compressed payload, if any
+ * @property {Array<import('../image/tiles.js').Tile>} [tiles] - Changed tiles of a delta snapshot
+ */
+
+/**
+ * Snapshots with the same sequence number; more than one for multi-page snapshots
+ * @typedef {Array<PendingFrame>} PendingGroup
+ */
+
+/**
+ * @typedef {Object} SubmitResult
+ * @property {string} status - ACK status: 'processed', 'busy' or 'coalesced'
+ * @property {Object} [details] - Extra ACK fields
+ */
+
+/**
+ * Create a scheduler that holds back snapshots while browsers are still rendering
+ *
+ * Each session has at most one frame in flight (sent to viewers, not yet rendered) and one
+ * pending frame. A frame arriving while another is pending replaces it; the replaced frame
+ * is still stored, just never shown, so later delta snapshots can build on it. Sessions nobody
+ * follows live are delivered straight away. The pages of a multi-page snapshot share a
+ * sequence number and travel together, so they never replace each other.
+ * @param {Object} options
+ * @param {Function} options.getViewerCount - Returns the number of clients following a session live
+ * @param {Function} options.deliver - Publishes a PendingFrame, returns true if viewers will render it
+ * @param {Function} options.store - Stores a PendingFrame that was replaced without telling viewers
+ * @param {Function} options.onRateChange - Called with the frame interval (ms) clients can sustain
+ * @returns {Object}
+ */
+export function createFrameScheduler(options) {
+  const { getViewerCount, deliver, store, onRateChange } = options;
+
+  /** @type {Map<string, {inFlight: Object|null, pending: PendingGroup|null, timer: Object|null}>} */
+  const sessions = new Map();
+  let averageRenderMs = null;
+  let reportedIntervalMs = null;
+
+  /**
+   * Get the scheduling state of a session, creating it if needed
+   * @param {string} sessionId
+   * @returns {Object}
+   */
+  function getState(sessionId) {
+    let state = sessions.get(sessionId);
+    if (!state) {
+      state = { inFlight: null, pending: null, timer: null };
+      sessions.set(sessionId, state);
+    }
+    return state;
+  }
+
+  /**
+   * Publish a frame group and, if viewers will render it, wait for them before the next one
+   * @param {string} sessionId
+   * @param {PendingGroup} group
+   * @returns {void}
+   */
+  function send(sessionId, group) {
+    const state = getState(sessionId);
+    clearTimeout(state.timer);
+    state.inFlight = null;
+    state.timer = null;
+
+    const published = group.map((frame) => deliver(frame)).some(Boolean);
+    if (!published || getViewerCount(sessionId) === 0) return;
+
+    state.inFlight = { sequenceNumber: group[0].metadata.sequenceNumber, sentAt: Date.now() };
+    state.timer = setTimeout(() => {
+      log.debug(`No render report for session ${sessionId} within ${RENDER_TIMEOUT_MS}ms`);
+      release(sessionId);
+    }, RENDER_TIMEOUT_MS);
+    state.timer.unref();
+  }
+
+  /**
+   * Mark the in-flight frame of a session as done and send the pending one, if any
+   * @param {string} sessionId
+   * @returns {void}
+   */
+  function release(sessionId) {
+    const state = sessions.get(sessionId);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    state.inFlight = null;
+    state.timer = null;
+
+    if (state.pending) {
+      const group = state.pending;
+      state.pending = null;
+      send(sessionId, group);
+    }
+  }
+
+  /**
+   * Fold a measured render time into the average and report significant rate changes
+   * @param {number} renderMs
+   * @returns {void}
+   */
+  function recordRenderTime(renderMs) {
+    averageRenderMs =
+      averageRenderMs === null
+        ? renderMs
+        : averageRenderMs + RENDER_TIME_SMOOTHING * (renderMs - averageRenderMs);
+
+    const intervalMs = Math.ceil(averageRenderMs);
+    const drift =
+      reportedIntervalMs === null
+        ? Infinity
+        : Math.abs(intervalMs - reportedIntervalMs) / Math.max(reportedIntervalMs, 1);
+
+    if (drift > RATE_CHANGE_THRESHOLD) {
+      reportedIntervalMs = intervalMs;
+      log.info(`Clients sustain one frame every ${intervalMs}ms`);
+      onRateChange(intervalMs);
+    }
+  }
+
+  /**
+   * Accept a decoded snapshot from the host
+   * @param {Object} metadata - Snapshot metadata
+   * @param {Buffer} data - Decoded snapshot data
+   * @param {{encoding: string, data: Buffer}} [encoded] - Compressed payload, if any
+   * @param {Array<import('../image/tiles.js').Tile>} [tiles] - Changed tiles of a delta snapshot
+   * @returns {SubmitResult}
+   */
+  function submit(metadata, data, encoded, tiles) {
+    const { sessionId, sequenceNumber } = metadata;
+    const state = getState(sessionId);
+    const frame = { metadata, data, encoded, tiles };
+
+    if (!state.inFlight || getViewerCount(sessionId) === 0) {
+      send(sessionId, [frame]);
+      return { status: 'processed' };
+    }
+
+    // Further pages of the frame being rendered go straight through
+    if (state.inFlight.sequenceNumber === sequenceNumber) {
+      deliver(frame);
+      return { status: 'processed' };
+    }
+
+    const details = reportedIntervalMs === null ? {} : { frameIntervalMs: reportedIntervalMs };
+
+    if (state.pending?.[0].metadata.sequenceNumber === sequenceNumber) {
+      state.pending.push(frame);
+      return { status: 'busy', details };
+    }
+
+    const replaced = state.pending;
+    state.pending = [frame];
+
+    if (replaced) {
+      const replacedSequenceNumber = replaced[0].metadata.sequenceNumber;
+      for (const replacedFrame of replaced) {
+        store(replacedFrame);
+      }
+      log.debug(
+        `Coalesced sequence ${replacedSequenceNumber} into ${sequenceNumber} ` +
+          `for session ${sessionId}`
+      );
+      return {
+        status: 'coalesced',
+        details: { ...details, replacedSequenceNumber }
+      };
+    }
+
+    log.debug(`Holding sequence ${sequenceNumber} for session ${sessionId}, clients busy`);
+    return { status: 'busy', details };
+  }
+
+  /**
+   * Handle a client's report that it finished rendering a frame
+   * @param {string} sessionId
+   * @param {number} sequenceNumber
+   * @returns {void}
+   */
+  function frameRendered(sessionId, sequenceNumber) {
+    const state = sessions.get(sessionId);
+    if (!state?.inFlight || state.inFlight.sequenceNumber !== sequenceNumber) return;
+
+    recordRenderTime(Date.now() - state.inFlight.sentAt);
+    release(sessionId);
+  }
+
+  /**
+   * Find a frame that is held back and not yet stored, e.g. the base of a delta snapshot
+   * @param {string} sessionId
+   * @param {number} sequenceNumber
+   * @param {number} [pageIndex=0]
+   * @returns {PendingFrame|undefined}
+   */
+  function findPending(sessionId, sequenceNumber, pageIndex = 0) {
+    return sessions
+      .get(sessionId)
+      ?.pending?.find(
+        ({ metadata }) =>
+          metadata.sequenceNumber === sequenceNumber && (metadata.pageIndex ?? 0) === pageIndex
+      );
+  }
+
+  /**
+   * Drop the in-flight and pending frames of a removed session
+   * @param {string} sessionId
+   * @returns {void}
+   */
+  function forget(sessionId) {
+    const state = sessions.get(sessionId);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    sessions.delete(sessionId);
+  }
+
+  return {
+    submit,
+    frameRendered,
+    findPending,
+    forget
+  };
+}
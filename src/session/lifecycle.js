@@ -0,0 +1,153 @@
+import { createLogger } from '../logger.js';
+import { sessionStore } from './store.js';
+
+const log = createLogger('lifecycle');
+
+const CHECK_INTERVAL_MS = 1000;
+
+/**
+ * Create a monitor that enforces the snapshot TTL and the idle timeout, and watches
+ * for missed host heartbeats
+ *
+ * The heartbeat watchdog arms on the first heartbeat, so hosts that never send
+ * heartbeats are not reported as unresponsive.
+ * @param {Object} options
+ * @param {number} options.snapshotTtlSeconds - Mark sessions stale after this long without a snapshot (0 = off)
+ * @param {number} options.idleTimeoutMinutes - Shut down after this long with no sessions and no clients (0 = off)
+ * @param {number} options.heartbeatIntervalSeconds - Expected time between host heartbeats (0 = off)
+ * @param {number} options.maxMissedHeartbeats - Missed heartbeats before the host counts as unresponsive (0 = off)
+ * @param {Function} options.getClientCount - Returns the number of connected browser clients
+ * @param {Function} options.onSessionsStale - Called with the IDs of sessions that became stale
+ * @param {Function} options.onIdle - Called once when the idle timeout elapses
+ * @param {Function} options.onHostUnresponsive - Called with the number of missed heartbeats
+ * @param {Function} options.onHostRecovered - Called when heartbeats resume after onHostUnresponsive
+ * @returns {Object}
+ */
+export function createLifecycleMonitor(options) {
+  const { getClientCount, onSessionsStale, onIdle, onHostUnresponsive, onHostRecovered } = options;
+
+  let snapshotTtlMs = 0;
+  let idleTimeoutMs = 0;
+  let idleSince = null;
+  let heartbeatIntervalMs = 0;
+  let maxMissedHeartbeats = 0;
+  let lastHeartbeatAt = null;
+  let hostUnresponsive = false;
+  let timer = null;
+
+  /**
+   * Update the TTL and idle timeout, e.g. from the host's advertised capabilities
+   * @param {Object} limits
+   * @param {number} [limits.snapshotTtlSeconds]
+   * @param {number} [limits.idleTimeoutMinutes]
+   * @param {number} [limits.heartbeatIntervalSeconds]
+   * @param {number} [limits.maxMissedHeartbeats]
+   * @returns {void}
+   */
+  function configure(limits) {
+    if (Number.isFinite(limits.snapshotTtlSeconds) && limits.snapshotTtlSeconds >= 0) {
+      snapshotTtlMs = limits.snapshotTtlSeconds * 1000;
+    }
+    if (Number.isFinite(limits.idleTimeoutMinutes) && limits.idleTimeoutMinutes >= 0) {
+      idleTimeoutMs = limits.idleTimeoutMinutes * 60 * 1000;
+    }
+    if (Number.isFinite(limits.heartbeatIntervalSeconds) && limits.heartbeatIntervalSeconds >= 0) {
+      heartbeatIntervalMs = limits.heartbeatIntervalSeconds * 1000;
+    }
+    if (Number.isInteger(limits.maxMissedHeartbeats) && limits.maxMissedHeartbeats >= 0) {
+      maxMissedHeartbeats = limits.maxMissedHeartbeats;
+    }
+    log.debug(
+      `Snapshot TTL: ${snapshotTtlMs}ms, idle timeout: ${idleTimeoutMs}ms, ` +
+        `heartbeat: ${heartbeatIntervalMs}ms x ${maxMissedHeartbeats}`
+    );
+  }
+
+  /**
+   * Record a heartbeat from the host, recovering from the unresponsive state
+   * @returns {void}
+   */
+  function heartbeat() {
+    lastHeartbeatAt = Date.now();
+
+    if (hostUnresponsive) {
+      hostUnresponsive = false;
+      log.info('Host heartbeats resumed');
+      onHostRecovered();
+    }
+  }
+
+  /**
+   * Check whether the host has missed too many heartbeats
+   * @returns {void}
+   */
+  function checkHeartbeat() {
+    if (hostUnresponsive || lastHeartbeatAt === null) return;
+    if (heartbeatIntervalMs === 0 || maxMissedHeartbeats === 0) return;
+
+    const missed = Math.floor((Date.now() - lastHeartbeatAt) / heartbeatIntervalMs);
+    if (missed >= maxMissedHeartbeats) {
+      hostUnresponsive = true;
+      log.warn(`Host missed ${missed} heartbeats, marking it unresponsive`);
+      onHostUnresponsive(missed);
+    }
+  }
+
+  /**
+   * Run one round of TTL and idle checks
+   * @returns {void}
+   */
+  function check() {
+    checkHeartbeat();
+
+    if (snapshotTtlMs > 0) {
+      const expired = sessionStore.expireSnapshots(snapshotTtlMs);
+      if (expired.length > 0) {
+        onSessionsStale(expired);
+      }
+    }
+
+    if (idleTimeoutMs > 0 && sessionStore.size === 0 && getClientCount() === 0) {
+      idleSince ??= Date.now();
+
+      if (Date.now() - idleSince >= idleTimeoutMs) {
+        log.info(`Idle for ${idleTimeoutMs}ms with no sessions or clients`);
+        stop();
+        onIdle();
+      }
+    } else {
+      idleSince = null;
+    }
+  }
+
+  /**
+   * Start periodic checks
+   * @returns {void}
+   */
+  function start() {
+    if (timer) return;
+    timer = setInterval(check, CHECK_INTERVAL_MS);
+    timer.unref();
+  }
+
+  /**
+   * Stop periodic checks
+   * @returns {void}
+   */
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  configure(options);
+
+  return {
+    configure,
+    heartbeat,
+    start,
+    stop,
+    check
+  };
+}
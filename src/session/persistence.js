@@ -0,0 +1,253 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('persistence');
+
+const METADATA_FILE = 'session.json';
+
+/**
+ * Create an on-disk store for session metadata and snapshot binaries
+ *
+ * Layout: `<dataDir>/<hashed sessionId>/session.json` plus one `<sequenceNumber>.bin`
+ * per frame kept in history, and `<sequenceNumber>.<pageIndex>.bin` for the further pages
+ * of multi-page frames. Writes are queued per session so they land in order.
+ * @param {string} dataDir - Directory to store sessions in
+ * @returns {Object}
+ */
+export function createSessionPersistence(dataDir) {
+  /** @type {Map<string, Promise<void>>} */
+  const pending = new Map();
+
+  /**
+   * Get the name of the directory that holds a session's files
+   *
+   * The name is a hash of the session ID, so hosts cannot steer it outside the data
+   * directory (e.g. with an ID of `..`).
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  function sessionDirName(sessionId) {
+    return createHash('sha1').update(sessionId).digest('hex');
+  }
+
+  /**
+   * Get the directory that holds a session's files
+   * @param {string} sessionId
+   * @returns {string}
+   */
+  function sessionDir(sessionId) {
+    return join(dataDir, sessionDirName(sessionId));
+  }
+
+  /**
+   * Get the file name of a frame binary
+   * @param {number} sequenceNumber
+   * @param {number} [pageIndex=0] - Page of a multi-page frame
+   * @returns {string}
+   */
+  function frameFile(sequenceNumber, pageIndex = 0) {
+    return pageIndex === 0 ? `${sequenceNumber}.bin` : `${sequenceNumber}.${pageIndex}.bin`;
+  }
+
+  /**
+   * Get the indices of the pages of a frame that have arrived
+   * @param {import('./store.js').SnapshotFrame} frame
+   * @returns {Array<number>}
+   */
+  function presentPages(frame) {
+    return frame.pages.flatMap((page, pageIndex) => (page ? [pageIndex] : []));
+  }
+
+  /**
+   * Queue a write task behind any pending tasks for the same session
+   * @param {string} sessionId
+   * @param {Function} task
+   * @returns {Promise<void>}
+   */
+  function enqueue(sessionId, task) {
+    const previous = pending.get(sessionId) || Promise.resolve();
+    const next = previous.then(task).catch((err) => {
+      log.error(`Failed to persist session ${sessionId}: ${err.message}`);
+    });
+
+    pending.set(sessionId, next);
+    next.then(() => {
+      if (pending.get(sessionId) === next) {
+        pending.delete(sessionId);
+      }
+    });
+
+    return next;
+  }
+
+  /**
+   * Atomically write the session metadata file
+   * @param {import('./store.js').SessionSnapshot} session
+   * @returns {Promise<void>}
+   */
+  async function writeMetadata(session) {
+    const metadata = {
+      sessionId: session.sessionId,
+      documentType: session.documentType,
+      originalPath: session.originalPath,
+      label: session.label,
+      color: session.color,
+      pinned: session.pinned,
+      frames: session.history.map((frame) => ({
+        sequenceNumber: frame.sequenceNumber,
+        timestamp: frame.timestamp,
+        outputFormat: frame.outputFormat,
+        mimeType: frame.mimeType,
+        receivedAt: frame.receivedAt,
+        pages: frame.pages.map((page, pageIndex) =>
+          page ? frameFile(frame.sequenceNumber, pageIndex) : null
+        )
+      }))
+    };
+
+    const target = join(sessionDir(session.sessionId), METADATA_FILE);
+    await writeFile(`${target}.tmp`, JSON.stringify(metadata, null, 2));
+    await rename(`${target}.tmp`, target);
+  }
+
+  /**
+   * Persist a new frame and drop the frames that fell out of history
+   *
+   * Called without a frame to rewrite only the metadata.
+   * @param {import('./store.js').SessionSnapshot} session - Session after the update
+   * @param {import('./store.js').SnapshotFrame|null} frame - Frame that was added, if any
+   * @param {Array<import('./store.js').SnapshotFrame>} [droppedFrames=[]] - Frames removed from history
+   * @param {number} [pageIndex] - Write only this page of the frame instead of all pages
+   * @returns {Promise<void>}
+   */
+  function saveSnapshot(session, frame, droppedFrames = [], pageIndex) {
+    return enqueue(session.sessionId, async () => {
+      const dir = sessionDir(session.sessionId);
+      await mkdir(dir, { recursive: true });
+      if (frame) {
+        const pageIndices = pageIndex === undefined ? presentPages(frame) : [pageIndex];
+        for (const index of pageIndices) {
+          await writeFile(
+            join(dir, frameFile(frame.sequenceNumber, index)),
+            frame.pages[index].data
+          );
+        }
+      }
+
+      for (const dropped of droppedFrames) {
+        for (const index of presentPages(dropped)) {
+          await rm(join(dir, frameFile(dropped.sequenceNumber, index)), { force: true });
+        }
+      }
+
+      await writeMetadata(session);
+      log.debug(`Persisted session ${session.sessionId}`);
+    });
+  }
+
+  /**
+   * Delete all persisted files of a session
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  function removeSession(sessionId) {
+    return enqueue(sessionId, async () => {
+      await rm(sessionDir(sessionId), { recursive: true, force: true });
+      log.debug(`Removed persisted session ${sessionId}`);
+    });
+  }
+
+  /**
+   * Read all persisted sessions from the data directory
+   * @returns {Promise<Array<Object>>} Sessions with their history frames (oldest first), each
+   *   holding one buffer per page (null for pages that were never received)
+   */
+  async function load() {
+    await mkdir(dataDir, { recursive: true });
+
+    const entries = await readdir(dataDir, { withFileTypes: true });
+    const sessions = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue;
+
+      const dir = join(dataDir, entry.name);
+
+      try {
+        const metadata = JSON.parse(await readFile(join(dir, METADATA_FILE), 'utf-8'));
+
+        if (
+          typeof metadata.sessionId !== 'string' ||
+          entry.name !== sessionDirName(metadata.sessionId)
+        ) {
+          log.warn(`Skipping session directory ${entry.name}: it does not match its session ID`);
+          continue;
+        }
+
+        const history = [];
+
+        for (const frame of metadata.frames || []) {
+          if (!Array.isArray(frame.pages)) {
+            log.warn(`Skipping frame ${frame.sequenceNumber} in ${entry.name}: no page list`);
+            continue;
+          }
+
+          const pages = [];
+
+          // Page files are named after the frame, never after what the metadata says
+          for (const [pageIndex, present] of frame.pages.entries()) {
+            const file = frameFile(frame.sequenceNumber, pageIndex);
+            try {
+              pages.push(present ? await readFile(join(dir, file)) : null);
+            } catch (err) {
+              log.warn(`Skipping unreadable page ${file} in ${entry.name}: ${err.message}`);
+              pages.push(null);
+            }
+          }
+
+          if (!pages.some(Boolean)) continue;
+
+          history.push({
+            sequenceNumber: frame.sequenceNumber,
+            timestamp: frame.timestamp,
+            outputFormat: frame.outputFormat,
+            mimeType: frame.mimeType,
+            receivedAt: frame.receivedAt,
+            pages
+          });
+        }
+
+        sessions.push({
+          sessionId: metadata.sessionId,
+          documentType: metadata.documentType,
+          originalPath: metadata.originalPath,
+          label: metadata.label,
+          color: metadata.color,
+          pinned: metadata.pinned,
+          history
+        });
+      } catch (err) {
+        log.warn(`Skipping unreadable session directory ${entry.name}: ${err.message}`);
+      }
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Wait for all queued writes to finish
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    await Promise.all(pending.values());
+  }
+
+  return {
+    load,
+    saveSnapshot,
+    removeSession,
+    flush
+  };
+}
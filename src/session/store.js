@@ -1,3 +1,4 @@
+import { createHash } from 'crypto';
 import { createLogger } from '../logger.js';
 
 /**
@@ -11,25 +12,312 @@ import { createLogger } from '../logger.js';
  * @property {number} sequenceNumber - Sequence number
  * @property {Buffer} data - Binary snapshot data
  * @property {boolean} hasUpdate - Whether session has unviewed update
+ * @property {boolean} stale - Whether the session was restored from disk or its snapshot outlived the TTL
+ * @property {number} receivedAt - Epoch ms when the latest snapshot arrived
+ * @property {string|null} label - User-assigned display label
+ * @property {string|null} color - User-assigned color tag (one of SESSION_COLORS)
+ * @property {boolean} pinned - Whether the session is pinned to the top of the list
+ * @property {number} lastViewedAt - Epoch ms of the last view (or creation), used for eviction
+ * @property {Array<SnapshotFrame>} history - Past frames, oldest first (includes the latest)
  */
 
+/**
+ * @typedef {Object} PageImage
+ * @property {Buffer} data - Binary page data
+ * @property {string} hash - SHA-1 of the data, used as the HTTP entity tag
+ * @property {string|null} encoding - Content encoding the host compressed the data with
+ * @property {Buffer|null} encodedData - Compressed bytes as received, served to browsers as-is
+ * @property {PageDelta|null} delta - Tiles the host sent instead of the full image, if any
+ */
+
+/**
+ * @typedef {Object} PageDelta
+ * @property {number} baseSequenceNumber - Frame the tiles were painted over
+ * @property {Array<import('../image/tiles.js').Tile>} tiles - Changed rectangles
+ */
+
+/**
+ * @typedef {Object} SnapshotFrame
+ * @property {number} sequenceNumber - Sequence number
+ * @property {string} timestamp - ISO timestamp
+ * @property {string} outputFormat - Output format (png, html, pdf)
+ * @property {string} mimeType - MIME type
+ * @property {Buffer} data - Binary data of the first page received
+ * @property {string} hash - SHA-1 of the data, used as the HTTP entity tag
+ * @property {number} receivedAt - Epoch ms when the frame arrived
+ * @property {string|null} encoding - Content encoding the host compressed the data with
+ * @property {Buffer|null} encodedData - Compressed bytes as received, served to browsers as-is
+ * @property {PageDelta|null} delta - Tiles the first page was composed from, if any
+ * @property {number} pageCount - Number of pages the host renders for this sequence number
+ * @property {Array<PageImage|null>} pages - One image per page index, null until it arrives
+ * @property {Array<number>} aliases - Sequence numbers of identical snapshots folded into
+ *   this frame, so delta snapshots can still name them as their base
+ */
+
+/**
+ * @typedef {Object} Eviction
+ * @property {string} type - 'frame' or 'session'
+ * @property {string} sessionId - Session the evicted data belonged to
+ * @property {number} [sequenceNumber] - Evicted frame (frame evictions only)
+ * @property {number} bytes - Bytes released
+ * @property {string} reason - 'memory_limit' or 'session_limit'
+ */
+
+const DEFAULT_HISTORY_SIZE = 20;
+
+/** Most recent folded sequence numbers remembered per frame */
+const MAX_ALIASES = 16;
+
+export const SESSION_COLORS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple', 'gray'];
+
 const log = createLogger('session');
 
+/**
+ * Compute the content hash of a snapshot payload
+ * @param {Buffer} data
+ * @returns {string}
+ */
+export function hashSnapshot(data) {
+  return createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * Build the stored image of one page
+ * @param {Buffer} data - Decoded page data
+ * @param {{encoding: string, data: Buffer}} [encoded] - Compressed payload the data was decoded from
+ * @param {PageDelta} [delta] - Tiles the data was composed from
+ * @returns {PageImage}
+ */
+function createPage(data, encoded, delta) {
+  return {
+    data,
+    hash: hashSnapshot(data),
+    encoding: encoded ? encoded.encoding : null,
+    encodedData: encoded ? encoded.data : null,
+    delta: delta || null
+  };
+}
+
+/**
+ * Get one page of a frame
+ * @param {SnapshotFrame} frame
+ * @param {number} pageIndex - Zero-based page index
+ * @returns {PageImage|null} The page, or null if it is out of range or has not arrived
+ */
+export function getFramePage(frame, pageIndex) {
+  return frame.pages[pageIndex] || null;
+}
+
+/**
+ * Count the bytes a page holds in memory, including its compressed copy and delta tiles
+ * @param {PageImage|null} page
+ * @returns {number}
+ */
+function pageBytes(page) {
+  if (!page) return 0;
+
+  const tileBytes = page.delta
+    ? page.delta.tiles.reduce((sum, tile) => sum + tile.data.length, 0)
+    : 0;
+  return page.data.length + (page.encodedData ? page.encodedData.length : 0) + tileBytes;
+}
+
+/**
+ * Count the bytes a frame holds in memory across all of its pages
+ * @param {SnapshotFrame} frame
+ * @returns {number}
+ */
+function frameBytes(frame) {
+  return frame.pages.reduce((sum, page) => sum + pageBytes(page), 0);
+}
+
 class SessionStore {
   constructor() {
     /** @type {Map<string, SessionSnapshot>} */
     this.sessions = new Map();
+    this.historySize = DEFAULT_HISTORY_SIZE;
+    /** @type {number} Maximum bytes held across all sessions (0 = unlimited) */
+    this.maxBytes = 0;
+    /** @type {number} Maximum number of sessions (0 = unlimited) */
+    this.maxSessions = 0;
+    this.totalBytes = 0;
+    this.evictionStats = {
+      frames: 0,
+      sessions: 0,
+      bytes: 0,
+      lastEvictionAt: null
+    };
+    /** @type {Object|null} */
+    this.persistence = null;
+    /** @type {number|null} Epoch ms when the last snapshot arrived from the host */
+    this.lastSnapshotAt = null;
+  }
+
+  /**
+   * Attach an on-disk store that mirrors every change
+   * @param {Object} persistence - Store created by createSessionPersistence
+   * @returns {void}
+   */
+  attachPersistence(persistence) {
+    this.persistence = persistence;
+  }
+
+  /**
+   * Load persisted sessions into memory, marking them stale until a fresh frame arrives
+   * @returns {Promise<number>} Number of restored sessions
+   */
+  async restore() {
+    if (!this.persistence) return 0;
+
+    const restored = await this.persistence.load();
+    let count = 0;
+
+    for (const session of restored) {
+      const history = session.history.slice(-this.historySize).map(({ pages, ...frame }) => {
+        const images = pages.map((data) => (data ? createPage(data) : null));
+        return {
+          ...frame,
+          ...images.find(Boolean),
+          receivedAt: frame.receivedAt ?? Date.now(),
+          pageCount: images.length,
+          pages: images,
+          aliases: []
+        };
+      });
+      const latest = history[history.length - 1];
+      if (!latest || this.sessions.has(session.sessionId)) continue;
+
+      this.sessions.set(session.sessionId, {
+        sessionId: session.sessionId,
+        documentType: session.documentType,
+        originalPath: session.originalPath,
+        outputFormat: latest.outputFormat,
+        mimeType: latest.mimeType,
+        timestamp: latest.timestamp,
+        sequenceNumber: latest.sequenceNumber,
+        data: latest.data,
+        hasUpdate: false,
+        stale: true,
+        lastViewedAt: Date.now(),
+        receivedAt: Date.now(),
+        label: session.label ?? null,
+        color: session.color ?? null,
+        pinned: session.pinned ?? false,
+        history
+      });
+      this.totalBytes += history.reduce((sum, frame) => sum + frameBytes(frame), 0);
+      count++;
+    }
+
+    log.info(`Restored ${count} sessions from disk`);
+    this.enforceLimits(null);
+    return count;
+  }
+
+  /**
+   * Wait for pending disk writes to complete
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.persistence) {
+      await this.persistence.flush();
+    }
+  }
+
+  /**
+   * Apply store configuration
+   * @param {Object} options
+   * @param {number} [options.historySize] - Maximum frames kept per session
+   * @param {number} [options.maxBytes] - Maximum bytes held across all sessions (0 = unlimited)
+   * @param {number} [options.maxSessions] - Maximum number of sessions (0 = unlimited)
+   * @returns {void}
+   */
+  configure(options) {
+    if (Number.isInteger(options.historySize) && options.historySize > 0) {
+      this.historySize = options.historySize;
+    }
+    if (Number.isFinite(options.maxBytes) && options.maxBytes >= 0) {
+      this.maxBytes = options.maxBytes;
+    }
+    if (Number.isInteger(options.maxSessions) && options.maxSessions >= 0) {
+      this.maxSessions = options.maxSessions;
+    }
   }
 
   /**
    * Update or create a session snapshot with new data
+   *
+   * A single-page payload identical to the latest frame only refreshes the session timestamp.
+   * Multi-page snapshots arrive one page at a time with the same sequence number; the first
+   * page creates the frame and the others are added to it.
    * @param {string} sessionId - Session ID
    * @param {Object} metadata - Snapshot metadata
    * @param {Buffer} data - Binary snapshot data
-   * @returns {void}
+   * @param {{encoding: string, data: Buffer}} [encoded] - Compressed payload the data was decoded from
+   * @param {Array<import('../image/tiles.js').Tile>} [tiles] - Tiles of a delta snapshot
+   * @returns {{duplicate: boolean, pageAdded: boolean, evictions: Array<Eviction>}}
    */
-  updateSnapshot(sessionId, metadata, data) {
+  updateSnapshot(sessionId, metadata, data, encoded, tiles) {
     const existing = this.sessions.get(sessionId);
+    const latest = existing?.history[existing.history.length - 1];
+    const pageIndex = metadata.pageIndex ?? 0;
+    const pageCount = metadata.pageCount ?? 1;
+    const delta = tiles ? { baseSequenceNumber: metadata.delta.baseSequenceNumber, tiles } : null;
+    const page = createPage(data, encoded, delta);
+
+    if (
+      latest &&
+      pageCount > 1 &&
+      latest.sequenceNumber === metadata.sequenceNumber &&
+      latest.pageCount === pageCount
+    ) {
+      return this.addPage(existing, latest, metadata, page);
+    }
+
+    if (
+      latest &&
+      pageCount === 1 &&
+      latest.pageCount === 1 &&
+      latest.hash === page.hash &&
+      latest.mimeType === metadata.mimeType
+    ) {
+      existing.timestamp = metadata.timestamp;
+      existing.receivedAt = Date.now();
+      this.lastSnapshotAt = existing.receivedAt;
+      existing.stale = false;
+      latest.aliases.push(metadata.sequenceNumber);
+      if (latest.aliases.length > MAX_ALIASES) latest.aliases.shift();
+      log.debug(
+        `Duplicate snapshot for session ${sessionId}, sequence: ${metadata.sequenceNumber}`
+      );
+      return { duplicate: true, pageAdded: false, evictions: [] };
+    }
+
+    const pages = new Array(pageCount).fill(null);
+    pages[pageIndex] = page;
+
+    const frame = {
+      sequenceNumber: metadata.sequenceNumber,
+      timestamp: metadata.timestamp,
+      outputFormat: metadata.outputFormat,
+      mimeType: metadata.mimeType,
+      ...page,
+      receivedAt: Date.now(),
+      pageCount,
+      pages,
+      aliases: []
+    };
+
+    const history = existing ? existing.history : [];
+    history.push(frame);
+    const dropped =
+      history.length > this.historySize ? history.splice(0, history.length - this.historySize) : [];
+
+    this.totalBytes += frameBytes(frame);
+    for (const frame of dropped) {
+      this.totalBytes -= frameBytes(frame);
+    }
+    this.lastSnapshotAt = frame.receivedAt;
 
     const snapshot = {
       sessionId,
@@ -40,16 +328,168 @@ class SessionStore {
       timestamp: metadata.timestamp,
       sequenceNumber: metadata.sequenceNumber,
       data,
-      hasUpdate: true
+      hasUpdate: true,
+      stale: false,
+      lastViewedAt: existing ? existing.lastViewedAt : Date.now(),
+      receivedAt: frame.receivedAt,
+      label: existing ? existing.label : null,
+      color: existing ? existing.color : null,
+      pinned: existing ? existing.pinned : false,
+      history
     };
 
     this.sessions.set(sessionId, snapshot);
 
+    if (this.persistence) {
+      this.persistence.saveSnapshot(snapshot, frame, dropped);
+    }
+
     if (existing) {
       log.debug(`Updated session ${sessionId}, sequence: ${metadata.sequenceNumber}`);
     } else {
       log.info(`New session ${sessionId} created`);
     }
+
+    return { duplicate: false, pageAdded: false, evictions: this.enforceLimits(sessionId) };
+  }
+
+  /**
+   * Store another page of the latest frame of a session, replacing a page sent before
+   * @param {SessionSnapshot} session - Session the frame belongs to
+   * @param {SnapshotFrame} frame - Latest frame of the session
+   * @param {Object} metadata - Snapshot metadata of the page
+   * @param {PageImage} page - Page image
+   * @returns {{duplicate: boolean, pageAdded: boolean, evictions: Array<Eviction>}}
+   */
+  addPage(session, frame, metadata, page) {
+    const { pageIndex } = metadata;
+
+    this.totalBytes += pageBytes(page) - pageBytes(frame.pages[pageIndex]);
+    frame.pages[pageIndex] = page;
+    Object.assign(frame, frame.pages.find(Boolean));
+
+    session.data = frame.data;
+    session.timestamp = metadata.timestamp;
+    session.receivedAt = Date.now();
+    session.hasUpdate = true;
+    session.stale = false;
+    this.lastSnapshotAt = session.receivedAt;
+
+    if (this.persistence) {
+      this.persistence.saveSnapshot(session, frame, [], pageIndex);
+    }
+
+    log.debug(
+      `Added page ${pageIndex + 1}/${frame.pageCount} to session ${session.sessionId}, ` +
+        `sequence: ${frame.sequenceNumber}`
+    );
+
+    return { duplicate: false, pageAdded: true, evictions: this.enforceLimits(session.sessionId) };
+  }
+
+  /**
+   * Evict history frames and least-recently-viewed sessions until the limits are met
+   *
+   * Old history frames go first; whole sessions are only evicted when no session has
+   * history left to trim. The protected session (the one just updated) is never evicted.
+   * @param {string|null} protectedSessionId - Session that must be kept
+   * @returns {Array<Eviction>}
+   */
+  enforceLimits(protectedSessionId) {
+    const evictions = [];
+    const byLastViewed = () =>
+      [...this.sessions.values()].sort((a, b) => a.lastViewedAt - b.lastViewedAt);
+
+    while (this.maxSessions > 0 && this.sessions.size > this.maxSessions) {
+      const victim = byLastViewed().find((session) => session.sessionId !== protectedSessionId);
+      if (!victim) break;
+      evictions.push(this.evictSession(victim, 'session_limit'));
+    }
+
+    while (this.maxBytes > 0 && this.totalBytes > this.maxBytes) {
+      const candidates = byLastViewed();
+      const trimmable = candidates.find((session) => session.history.length > 1);
+
+      if (trimmable) {
+        const [frame] = trimmable.history.splice(0, 1);
+        this.totalBytes -= frameBytes(frame);
+        if (this.persistence) {
+          this.persistence.saveSnapshot(trimmable, null, [frame]);
+        }
+        evictions.push(
+          this.recordEviction({
+            type: 'frame',
+            sessionId: trimmable.sessionId,
+            sequenceNumber: frame.sequenceNumber,
+            bytes: frameBytes(frame),
+            reason: 'memory_limit'
+          })
+        );
+        continue;
+      }
+
+      const victim = candidates.find((session) => session.sessionId !== protectedSessionId);
+      if (!victim) {
+        log.warn(
+          `Session ${protectedSessionId} alone exceeds the memory limit of ${this.maxBytes} bytes`
+        );
+        break;
+      }
+      evictions.push(this.evictSession(victim, 'memory_limit'));
+    }
+
+    return evictions;
+  }
+
+  /**
+   * Remove a whole session to free memory
+   * @param {SessionSnapshot} session - Session to evict
+   * @param {string} reason - Eviction reason
+   * @returns {Eviction}
+   */
+  evictSession(session, reason) {
+    const bytes = session.history.reduce((sum, frame) => sum + frameBytes(frame), 0);
+    this.removeSession(session.sessionId);
+
+    return this.recordEviction({
+      type: 'session',
+      sessionId: session.sessionId,
+      bytes,
+      reason
+    });
+  }
+
+  /**
+   * Update eviction statistics and log an eviction
+   * @param {Eviction} eviction
+   * @returns {Eviction}
+   */
+  recordEviction(eviction) {
+    if (eviction.type === 'session') {
+      this.evictionStats.sessions++;
+    } else {
+      this.evictionStats.frames++;
+    }
+    this.evictionStats.bytes += eviction.bytes;
+    this.evictionStats.lastEvictionAt = new Date().toISOString();
+
+    log.info(
+      `Evicted ${eviction.type} from session ${eviction.sessionId} (${eviction.bytes} bytes, ${eviction.reason})`
+    );
+    return eviction;
+  }
+
+  /**
+   * Get memory usage and eviction statistics
+   * @returns {Object}
+   */
+  getMemoryStats() {
+    return {
+      totalBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      maxSessions: this.maxSessions,
+      evictions: { ...this.evictionStats }
+    };
   }
 
   /**
@@ -61,6 +501,51 @@ class SessionStore {
     return this.sessions.get(sessionId);
   }
 
+  /**
+   * Get metadata for the frames kept in a session's history
+   * @param {string} sessionId - Session ID
+   * @returns {Array<Object>|undefined}
+   */
+  getHistory(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return undefined;
+
+    return session.history.map((frame) => ({
+      sequenceNumber: frame.sequenceNumber,
+      timestamp: frame.timestamp,
+      outputFormat: frame.outputFormat,
+      mimeType: frame.mimeType,
+      dataSize: frame.pages.reduce((sum, page) => sum + (page ? page.data.length : 0), 0),
+      pageCount: frame.pageCount
+    }));
+  }
+
+  /**
+   * Retrieve the most recent frame of a session
+   * @param {string} sessionId - Session ID
+   * @returns {SnapshotFrame|undefined}
+   */
+  getLatestFrame(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session?.history[session.history.length - 1];
+  }
+
+  /**
+   * Retrieve a single frame from a session's history
+   * @param {string} sessionId - Session ID
+   * @param {number} sequenceNumber - Sequence number of the frame, or of an identical
+   *   snapshot that was folded into it
+   * @returns {SnapshotFrame|undefined}
+   */
+  getFrame(sessionId, sequenceNumber) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return undefined;
+
+    return session.history.find(
+      (frame) => frame.sequenceNumber === sequenceNumber || frame.aliases.includes(sequenceNumber)
+    );
+  }
+
   /**
    * Get metadata for all active sessions
    * @returns {Array<Object>}
@@ -74,12 +559,107 @@ class SessionStore {
         originalPath: session.originalPath,
         outputFormat: session.outputFormat,
         lastUpdate: session.timestamp,
-        hasUpdate: session.hasUpdate
+        hasUpdate: session.hasUpdate,
+        stale: session.stale,
+        label: session.label,
+        color: session.color,
+        pinned: session.pinned
       });
     }
     return sessions;
   }
 
+  /**
+   * Get the details of a single session
+   * @param {string} sessionId - Session ID
+   * @returns {Object|undefined}
+   */
+  getSessionInfo(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return undefined;
+
+    return {
+      sessionId: session.sessionId,
+      documentType: session.documentType,
+      originalPath: session.originalPath,
+      outputFormat: session.outputFormat,
+      mimeType: session.mimeType,
+      timestamp: session.timestamp,
+      sequenceNumber: session.sequenceNumber,
+      dataSize: session.data.length,
+      pageCount: session.history[session.history.length - 1].pageCount,
+      hasUpdate: session.hasUpdate,
+      stale: session.stale,
+      label: session.label,
+      color: session.color,
+      pinned: session.pinned
+    };
+  }
+
+  /**
+   * Update the user-assigned label, color tag and pinned flag of a session
+   * @param {string} sessionId - Session ID
+   * @param {Object} attributes - Fields to change; omitted fields are left as they are
+   * @param {string|null} [attributes.label]
+   * @param {string|null} [attributes.color]
+   * @param {boolean} [attributes.pinned]
+   * @returns {SessionSnapshot|undefined} Updated session, or undefined if not found
+   */
+  updateAttributes(sessionId, attributes) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return undefined;
+
+    for (const key of ['label', 'color', 'pinned']) {
+      if (attributes[key] !== undefined) {
+        session[key] = attributes[key];
+      }
+    }
+
+    if (this.persistence) {
+      this.persistence.saveSnapshot(session, null);
+    }
+
+    log.debug(`Updated attributes of session ${sessionId}`);
+    return session;
+  }
+
+  /**
+   * Mark sessions whose latest snapshot is older than the TTL as stale
+   * @param {number} ttlMs - Snapshot time-to-live in milliseconds
+   * @returns {Array<string>} IDs of sessions that just became stale
+   */
+  expireSnapshots(ttlMs) {
+    const now = Date.now();
+    const expired = [];
+
+    for (const session of this.sessions.values()) {
+      if (!session.stale && now - session.receivedAt > ttlMs) {
+        session.stale = true;
+        expired.push(session.sessionId);
+        log.debug(`Session ${session.sessionId} is stale (no snapshot for ${ttlMs}ms)`);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Mark every session stale, e.g. because the host stopped responding
+   * @returns {Array<string>} IDs of sessions that were not stale before
+   */
+  markAllStale() {
+    const marked = [];
+
+    for (const session of this.sessions.values()) {
+      if (!session.stale) {
+        session.stale = true;
+        marked.push(session.sessionId);
+      }
+    }
+
+    return marked;
+  }
+
   /**
    * Mark a session as viewed to clear the update indicator
    * @param {string} sessionId - Session ID
@@ -89,6 +669,7 @@ class SessionStore {
     const session = this.sessions.get(sessionId);
     if (session) {
       session.hasUpdate = false;
+      session.lastViewedAt = Date.now();
     }
   }
 
@@ -98,9 +679,14 @@ class SessionStore {
    * @returns {void}
    */
   removeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
     const existed = this.sessions.delete(sessionId);
     if (existed) {
+      this.totalBytes -= session.history.reduce((sum, frame) => sum + frameBytes(frame), 0);
       log.info(`Session ${sessionId} removed`);
+      if (this.persistence) {
+        this.persistence.removeSession(sessionId);
+      }
     }
   }
 
@@ -109,7 +695,13 @@ class SessionStore {
    * @returns {void}
    */
   clear() {
+    if (this.persistence) {
+      for (const sessionId of this.sessions.keys()) {
+        this.persistence.removeSession(sessionId);
+      }
+    }
     this.sessions.clear();
+    this.totalBytes = 0;
     log.info('All sessions cleared');
   }
 
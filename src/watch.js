@@ -0,0 +1,245 @@
+import { watch } from 'fs';
+import { readdir, readFile, stat } from 'fs/promises';
+import { basename, dirname, extname, join, resolve } from 'path';
+import { createHash } from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('watch');
+
+/** Quiet period after the last change event before a file is read */
+const SETTLE_MS = 200;
+
+/** Output format and MIME type of rendered files, by extension */
+const OUTPUT_FORMATS = {
+  '.png': { outputFormat: 'png', mimeType: 'image/png' },
+  '.jpg': { outputFormat: 'jpeg', mimeType: 'image/jpeg' },
+  '.jpeg': { outputFormat: 'jpeg', mimeType: 'image/jpeg' },
+  '.gif': { outputFormat: 'gif', mimeType: 'image/gif' },
+  '.webp': { outputFormat: 'webp', mimeType: 'image/webp' },
+  '.svg': { outputFormat: 'svg', mimeType: 'image/svg+xml' },
+  '.html': { outputFormat: 'html', mimeType: 'text/html' },
+  '.htm': { outputFormat: 'html', mimeType: 'text/html' },
+  '.pdf': { outputFormat: 'pdf', mimeType: 'application/pdf' }
+};
+
+/** Document type of the source extension in names like `report.docx.png` */
+const DOCUMENT_TYPES = {
+  '.doc': 'word',
+  '.docx': 'word',
+  '.rtf': 'word',
+  '.odt': 'word',
+  '.xls': 'excel',
+  '.xlsx': 'excel',
+  '.csv': 'excel',
+  '.ods': 'excel',
+  '.ppt': 'powerpoint',
+  '.pptx': 'powerpoint',
+  '.odp': 'powerpoint',
+  '.pdf': 'pdf'
+};
+
+/**
+ * Derive the snapshot metadata of a rendered file from its extension
+ *
+ * The document type comes from a source extension before the output extension
+ * (`report.docx.png` is a word document rendered to PNG) and falls back to `file`.
+ * @param {string} filePath
+ * @returns {{documentType: string, outputFormat: string, mimeType: string}|null} Null for
+ *   extensions the preview cannot show
+ */
+export function describeFile(filePath) {
+  const extension = extname(filePath);
+  const format = OUTPUT_FORMATS[extension.toLowerCase()];
+  if (!format) return null;
+
+  const source = extname(basename(filePath, extension)).toLowerCase();
+  const documentType = DOCUMENT_TYPES[source] ?? (format.outputFormat === 'pdf' ? 'pdf' : 'file');
+
+  return { documentType, ...format };
+}
+
+/**
+ * Get the URL-safe session ID of a file, stable across restarts
+ * @param {string} filePath - Absolute path
+ * @returns {string}
+ */
+export function fileSessionId(filePath) {
+  return `file-${createHash('sha1').update(filePath).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Create a watcher that turns rendered files into sessions, one session per file
+ * @param {Object} options
+ * @param {Function} options.onSnapshot - Called with snapshot metadata and file contents
+ *   whenever a file is loaded or changes
+ * @param {Function} options.onRemove - Called with the session ID of a file that was deleted
+ * @param {Function} options.nextSequenceNumber - Returns the sequence number for the next
+ *   snapshot of a session
+ * @returns {Object}
+ */
+export function createFileWatcher(options) {
+  const { onSnapshot, onRemove, nextSequenceNumber } = options;
+
+  /** @type {Array<import('fs').FSWatcher>} */
+  const watchers = [];
+  /** @type {Map<string, NodeJS.Timeout>} Pending reads, by file path */
+  const timers = new Map();
+  /** @type {Set<string>} Files that currently have a session */
+  const loaded = new Set();
+
+  /**
+   * Read a file and publish it as a snapshot, or drop its session if it is gone
+   * @param {string} filePath - Absolute path
+   * @returns {Promise<void>}
+   */
+  async function load(filePath) {
+    const format = describeFile(filePath);
+    if (!format) return;
+
+    const sessionId = fileSessionId(filePath);
+    let stats;
+    let data;
+
+    try {
+      stats = await stat(filePath);
+      if (!stats.isFile()) return;
+      data = await readFile(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        log.warn(`Failed to read ${filePath}: ${err.message}`);
+      } else if (loaded.delete(filePath)) {
+        log.info(`File removed: ${filePath}`);
+        onRemove(sessionId);
+      }
+      return;
+    }
+
+    // Truncated by a writer that has not finished yet; the next change event brings the data
+    if (data.length === 0) return;
+
+    loaded.add(filePath);
+    log.debug(`Loaded ${filePath}, ${data.length} bytes`);
+
+    onSnapshot(
+      {
+        sessionId,
+        ...format,
+        originalPath: filePath,
+        sequenceNumber: nextSequenceNumber(sessionId),
+        timestamp: stats.mtime.toISOString()
+      },
+      data
+    );
+  }
+
+  /**
+   * Read a file once its change events have settled
+   * @param {string} filePath - Absolute path
+   * @returns {void}
+   */
+  function schedule(filePath) {
+    clearTimeout(timers.get(filePath));
+    timers.set(
+      filePath,
+      setTimeout(() => {
+        timers.delete(filePath);
+        load(filePath);
+      }, SETTLE_MS)
+    );
+  }
+
+  /**
+   * Reload files of a directory when they change
+   * @param {string} root - Absolute directory path
+   * @param {Set<string>|null} [names=null] - File names to follow, or null for every file
+   * @returns {void}
+   */
+  function followDirectory(root, names = null) {
+    const watcher = watch(root, (_eventType, filename) => {
+      if (filename && (!names || names.has(filename))) schedule(join(root, filename));
+    });
+    watcher.on('error', (err) => {
+      log.warn(`Stopped watching ${root}: ${err.message}`);
+    });
+    watchers.push(watcher);
+  }
+
+  /**
+   * Load the files in a directory and follow them as they are added, changed or deleted
+   *
+   * Only files directly in the directory are watched, not subdirectories.
+   * @param {string} dir
+   * @returns {Promise<void>}
+   */
+  async function watchDirectory(dir) {
+    const root = resolve(dir);
+    const entries = await readdir(root, { withFileTypes: true });
+
+    followDirectory(root);
+
+    for (const entry of entries) {
+      if (entry.isFile()) await load(join(root, entry.name));
+    }
+
+    log.info(`Watching ${root}, ${loaded.size} file(s) loaded`);
+  }
+
+  /**
+   * Load individual files, optionally following their changes
+   *
+   * Files are followed through their directories, so a writer that replaces a file by
+   * renaming a new one over it is still picked up.
+   * @param {Array<string>} paths
+   * @param {boolean} [follow=false] - Reload files when they change
+   * @returns {Promise<void>}
+   */
+  async function openFiles(paths, follow = false) {
+    const files = paths.map((path) => resolve(path));
+
+    for (const file of files) {
+      if (!describeFile(file)) throw new Error(`Unsupported file type: ${file}`);
+      if (!(await stat(file)).isFile()) throw new Error(`Not a file: ${file}`);
+    }
+
+    if (follow) {
+      const namesByDirectory = new Map();
+      for (const file of files) {
+        const dir = dirname(file);
+        if (!namesByDirectory.has(dir)) namesByDirectory.set(dir, new Set());
+        namesByDirectory.get(dir).add(basename(file));
+      }
+
+      for (const [dir, names] of namesByDirectory) {
+        followDirectory(dir, names);
+      }
+    }
+
+    for (const file of files) {
+      await load(file);
+    }
+
+    log.info(`Opened ${files.length} file(s)${follow ? ', following changes' : ''}`);
+  }
+
+  /**
+   * Stop watching and cancel pending reads
+   * @returns {void}
+   */
+  function stop() {
+    for (const watcher of watchers) {
+      watcher.close();
+    }
+    watchers.length = 0;
+
+    for (const timer of timers.values()) {
+      clearTimeout(timer);
+    }
+    timers.clear();
+  }
+
+  return {
+    watchDirectory,
+    openFiles,
+    stop
+  };
+}
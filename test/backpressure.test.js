@@ -0,0 +1,131 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFrameScheduler } from '../src/session/backpressure.js';
+import { sessionStore, getFramePage } from '../src/session/store.js';
+import { decodePng, encodePng } from '../src/image/png.js';
+import { createTestParser, frame } from './helpers/protocol.js';
+
+beforeEach(() => {
+  sessionStore.clear();
+});
+
+/**
+ * Encode a PNG filled with one color
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<number>} rgba
+ * @returns {Buffer}
+ */
+function solid(width, height, rgba) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) pixels.set(rgba, i * 4);
+  return encodePng({ width, height, pixels });
+}
+
+/**
+ * Create a scheduler for one live viewer that stores what it is given
+ * @returns {{scheduler: Object, delivered: Array<number>}}
+ */
+function createScheduler() {
+  const delivered = [];
+  const store = ({ metadata, data, encoded, tiles }) =>
+    sessionStore.updateSnapshot(metadata.sessionId, metadata, data, encoded, tiles);
+
+  const scheduler = createFrameScheduler({
+    getViewerCount: () => 1,
+    deliver: (pending) => {
+      store(pending);
+      delivered.push(pending.metadata.sequenceNumber);
+      return true;
+    },
+    store,
+    onRateChange: () => {}
+  });
+  return { scheduler, delivered };
+}
+
+/**
+ * Build the metadata of a PNG snapshot
+ * @param {number} sequenceNumber
+ * @param {Object} [delta]
+ * @returns {Object}
+ */
+function png(sequenceNumber, delta) {
+  return {
+    type: 'snapshot',
+    sessionId: 's',
+    sequenceNumber,
+    outputFormat: 'png',
+    mimeType: 'image/png',
+    ...(delta && { delta })
+  };
+}
+
+test('frames arriving while clients render are coalesced, newest first', () => {
+  const { scheduler, delivered } = createScheduler();
+  const image = solid(1, 1, [0, 0, 0, 255]);
+
+  assert.equal(scheduler.submit(png(1), image).status, 'processed');
+  assert.equal(scheduler.submit(png(2), image).status, 'busy');
+  const coalesced = scheduler.submit(png(3), image);
+  assert.equal(coalesced.status, 'coalesced');
+  assert.equal(coalesced.details.replacedSequenceNumber, 2);
+
+  scheduler.frameRendered('s', 1);
+
+  assert.deepEqual(delivered, [1, 3]);
+});
+
+test('a replaced frame is stored so deltas can build on it', () => {
+  const { scheduler, delivered } = createScheduler();
+
+  scheduler.submit(png(1), solid(2, 2, [0, 0, 0, 255]));
+  scheduler.submit(png(2), solid(2, 2, [255, 255, 255, 255]));
+  scheduler.submit(png(3), solid(2, 2, [255, 0, 0, 255]));
+
+  assert.deepEqual(delivered, [1]);
+  assert.ok(sessionStore.getFrame('s', 2));
+  assert.equal(sessionStore.getLatestFrame('s').sequenceNumber, 2);
+});
+
+test('a delta based on a coalesced frame is composited onto it', async () => {
+  const { scheduler, delivered } = createScheduler();
+  const { handshake, send, sentOfType } = createTestParser({
+    onSnapshot: scheduler.submit,
+    getDeltaBase: ({ sessionId, pageIndex = 0, delta }) => {
+      const pending = scheduler.findPending(sessionId, delta.baseSequenceNumber, pageIndex);
+      if (pending) return pending.data;
+
+      const stored = sessionStore.getFrame(sessionId, delta.baseSequenceNumber);
+      return (stored && getFramePage(stored, pageIndex)?.data) || null;
+    }
+  });
+  await handshake();
+
+  const tile = solid(1, 1, [0, 0, 255, 255]);
+  await send(
+    frame(png(1), solid(2, 2, [0, 0, 0, 255])),
+    frame(png(2), solid(2, 2, [255, 255, 255, 255])),
+    frame(png(3), solid(2, 2, [255, 0, 0, 255])),
+    frame(
+      png(4, {
+        baseSequenceNumber: 2,
+        tiles: [{ x: 1, y: 1, width: 1, height: 1, offset: 0, length: tile.length }]
+      }),
+      tile
+    )
+  );
+  scheduler.frameRendered('s', 1);
+
+  assert.deepEqual(
+    sentOfType('ack').map((ack) => ack.status),
+    ['processed', 'busy', 'coalesced', 'coalesced']
+  );
+  assert.deepEqual(delivered, [1, 4]);
+
+  const { pixels } = decodePng(sessionStore.getLatestFrame('s').data);
+  assert.deepEqual(Array.from(pixels), [
+    ...[255, 255, 255, 255, 255, 255, 255, 255],
+    ...[255, 255, 255, 255, 0, 0, 255, 255]
+  ]);
+});
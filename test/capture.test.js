@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createCaptureRecorder, loadCapture } from '../src/protocol/capture.js';
+
+let dir;
+
+before(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'aspose-preview-capture-'));
+});
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Write a capture file from a header and entries
+ * @param {string} name
+ * @param {Array<Object|string>} entries - Entries, or raw lines
+ * @returns {Promise<string>} Path of the file
+ */
+async function writeCapture(name, entries) {
+  const path = join(dir, name);
+  const lines = [{ type: 'capture', version: 1, startedAt: new Date().toISOString() }, ...entries];
+  await writeFile(
+    path,
+    lines.map((line) => (typeof line === 'string' ? line : JSON.stringify(line))).join('\n')
+  );
+  return path;
+}
+
+test('a recording replays its host input, connections and payloads in order', async () => {
+  const path = join(dir, 'recorded.jsonl');
+  const recorder = createCaptureRecorder(path);
+  const written = [];
+
+  recorder.connect();
+  recorder.input(Buffer.from('first\n'));
+  recorder.payload({ filePath: '/tmp/a.png' }, Buffer.from('payload-a'));
+  recorder.wrapOutput({ write: (text) => written.push(text) }).write('{"type":"ack"}\n');
+  recorder.connect();
+  recorder.input(Buffer.from('second\n'));
+
+  assert.deepEqual(written, ['{"type":"ack"}\n']);
+
+  const capture = await loadCapture(path);
+  const events = [];
+  await capture.replay({
+    speed: 0,
+    onInput: async (chunk) => events.push(chunk.toString()),
+    onConnect: () => events.push('connect')
+  });
+
+  assert.deepEqual(events, ['connect', 'first\n', 'connect', 'second\n']);
+  assert.equal((await capture.readPayload({ filePath: '/tmp/a.png' })).toString(), 'payload-a');
+  await assert.rejects(capture.readPayload({ filePath: '/tmp/b.png' }), /No payload recorded/);
+});
+
+test('loading rejects files that are not captures', async () => {
+  const path = join(dir, 'other.jsonl');
+  await writeFile(path, '{"type":"something"}\n');
+
+  await assert.rejects(loadCapture(path), /is not a version 1 capture file/);
+});
+
+test('loading rejects entries replay cannot decode', async () => {
+  const cases = [
+    [{ t: 0, type: 'in' }, /entry 1 is invalid: data must be a string/],
+    [{ t: 0, type: 'in', data: 42 }, /data must be a string/],
+    [{ t: 0, type: 'payload', data: '' }, /location must be a string/],
+    [{ t: -1, type: 'connect' }, /t must be a non-negative number/],
+    [{ t: 0, type: 'bogus' }, /unknown type "bogus"/],
+    ['{not json', /entry 1 is not valid JSON/]
+  ];
+
+  for (const [index, [entry, message]] of cases.entries()) {
+    const path = await writeCapture(`bad-${index}.jsonl`, [entry]);
+    await assert.rejects(loadCapture(path), message);
+  }
+});
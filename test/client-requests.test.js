@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClientRequestBroker } from '../src/server/client-requests.js';
+
+/**
+ * Stand-in for a browser WebSocket that keeps what it was sent
+ * @returns {{readyState: number, messages: Object[], send: Function}}
+ */
+function createClient() {
+  const messages = [];
+  return {
+    readyState: 1,
+    messages,
+    send: (data) => messages.push(JSON.parse(data))
+  };
+}
+
+/**
+ * Create a broker with one known session
+ * @param {boolean} hostConnected
+ * @returns {{broker: Object, forwarded: Object[]}}
+ */
+function createBroker(hostConnected) {
+  const forwarded = [];
+  const broker = createClientRequestBroker({
+    hasSession: (sessionId) => sessionId === 'doc',
+    hasHost: () => hostConnected,
+    sendToHost: (request) => forwarded.push(request)
+  });
+  return { broker, forwarded };
+}
+
+const rerender = {
+  type: 'client_request',
+  requestId: 'req-1',
+  sessionId: 'doc',
+  action: 'rerender',
+  parameters: { dpi: 300 }
+};
+
+test('requests fail at once when no host is connected', () => {
+  const { broker, forwarded } = createBroker(false);
+  const ws = createClient();
+
+  broker.forward(ws, rerender);
+
+  assert.deepEqual(forwarded, []);
+  assert.deepEqual(ws.messages, [
+    { type: 'client_response', requestId: 'req-1', success: false, error: 'No host connected' }
+  ]);
+});
+
+test('the host answer goes back to the tab under its own request ID', () => {
+  const { broker, forwarded } = createBroker(true);
+  const ws = createClient();
+
+  broker.forward(ws, rerender);
+  assert.equal(forwarded.length, 1);
+  assert.notEqual(forwarded[0].requestId, 'req-1');
+
+  broker.resolve({ requestId: forwarded[0].requestId, success: true });
+
+  assert.deepEqual(ws.messages, [
+    { type: 'client_response', requestId: 'req-1', success: true, result: null }
+  ]);
+});
+
+test('invalid requests and unknown sessions are not forwarded', () => {
+  const { broker, forwarded } = createBroker(true);
+  const ws = createClient();
+
+  broker.forward(ws, { ...rerender, parameters: { dpi: 5000 } });
+  broker.forward(ws, { ...rerender, requestId: 'req-2', sessionId: 'other' });
+
+  assert.deepEqual(forwarded, []);
+  assert.equal(ws.messages[0].error, 'dpi must be a number between 1 and 1200');
+  assert.equal(ws.messages[1].error, 'Session not found');
+});
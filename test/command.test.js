@@ -0,0 +1,92 @@
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setOutput } from '../src/protocol/ack.js';
+import { handleCommand } from '../src/protocol/command.js';
+import { setDebug } from '../src/logger.js';
+import { sessionStore } from '../src/session/store.js';
+
+/** @type {Array<Object>} Messages sent to the host */
+let sent;
+
+beforeEach(() => {
+  sent = [];
+  setOutput({
+    write: (text) => {
+      sent.push(JSON.parse(text));
+      return true;
+    }
+  });
+  sessionStore.clear();
+});
+
+after(() => {
+  setDebug(false);
+});
+
+/**
+ * Build a command context that records broadcasts
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function createContext(overrides = {}) {
+  const broadcasts = [];
+  return {
+    broadcasts,
+    getServerUrl: () => 'http://localhost:3000',
+    openBrowser: async () => {},
+    closeSession: (sessionId) => sessionStore.removeSession(sessionId),
+    broadcast: (message) => broadcasts.push(message),
+    getClientCount: () => 2,
+    ...overrides
+  };
+}
+
+/**
+ * Run a command and return its command_result
+ * @param {string} commandType
+ * @param {Object} context
+ * @param {Object} [parameters]
+ * @returns {Promise<Object>}
+ */
+async function run(commandType, context, parameters) {
+  await handleCommand({ type: 'command', commandId: 'c1', commandType, parameters }, context);
+  return sent.at(-1);
+}
+
+test('get_stats reports the browser count from the context', async () => {
+  const result = await run('get_stats', createContext());
+
+  assert.equal(result.success, true);
+  assert.equal(result.result.clients, 2);
+  assert.equal(result.result.sessions, 0);
+});
+
+test('set_debug tells the browsers through the context', async () => {
+  const context = createContext();
+  const result = await run('set_debug', context, { enabled: true });
+
+  assert.deepEqual(result.result, { enabled: true });
+  assert.deepEqual(context.broadcasts, [{ type: 'debug_changed', enabled: true }]);
+});
+
+test('close_session fails for unknown sessions', async () => {
+  const result = await run('close_session', createContext(), { sessionId: 'missing' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Session not found: missing');
+});
+
+test('get_server_url fails before the server starts', async () => {
+  const result = await run('get_server_url', createContext({ getServerUrl: () => null }));
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'Preview server is not running');
+});
+
+test('unknown commands fail and commands without an ID are ignored', async () => {
+  const result = await run('reboot', createContext());
+  assert.equal(result.error, 'Unknown command type: reboot');
+
+  await handleCommand({ type: 'command', commandType: 'get_version' }, createContext());
+  assert.equal(sent.length, 1);
+});
@@ -0,0 +1,53 @@
+import { test, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig } from '../src/config.js';
+
+const argv = process.argv;
+
+before(() => {
+  for (const name of Object.keys(process.env)) {
+    if (name.startsWith('ASPOSE_PREVIEW_')) delete process.env[name];
+  }
+});
+
+afterEach(() => {
+  process.argv = argv;
+  delete process.env.ASPOSE_PREVIEW_IDLE_TIMEOUT;
+});
+
+/**
+ * Load the configuration for a command line
+ * @param {...string} args
+ * @returns {import('../src/config.js').Config}
+ */
+function load(...args) {
+  process.argv = ['node', 'aspose-mcp-preview', ...args];
+  return loadConfig();
+}
+
+test('the idle timeout defaults to 30 minutes for a host on stdio', () => {
+  assert.equal(load().idleTimeoutMinutes, 30);
+});
+
+test('open collects the files to preview', () => {
+  const config = load('open', 'a.pdf', 'b.png', '--follow');
+
+  assert.equal(config.command, 'open');
+  assert.deepEqual(config.files, ['a.pdf', 'b.png']);
+  assert.equal(config.follow, true);
+});
+
+test('the idle timeout is off by default when no host on stdio ends the process', () => {
+  assert.equal(load('--listen', '9000').idleTimeoutMinutes, 0);
+  assert.equal(load('--ingest').idleTimeoutMinutes, 0);
+  assert.equal(load('--watch', './renders').idleTimeoutMinutes, 0);
+  assert.equal(load('open', 'report.pdf').idleTimeoutMinutes, 0);
+});
+
+test('an explicit idle timeout still applies in every mode', () => {
+  assert.equal(load('--watch', './renders', '--idle-timeout', '5').idleTimeoutMinutes, 5);
+  assert.equal(load('open', 'report.pdf', '--idle-timeout', '3').idleTimeoutMinutes, 3);
+
+  process.env.ASPOSE_PREVIEW_IDLE_TIMEOUT = '7';
+  assert.equal(load('--ingest').idleTimeoutMinutes, 7);
+});
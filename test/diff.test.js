@@ -0,0 +1,92 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from '../src/server/fastify.js';
+import { sessionStore } from '../src/session/store.js';
+import { encodePng } from '../src/image/png.js';
+import { diffPngs, diffPngsInWorker } from '../src/image/diff.js';
+
+/**
+ * Build a white PNG with an optional black rectangle
+ * @param {number} width
+ * @param {number} height
+ * @param {{x: number, y: number, width: number, height: number}} [box]
+ * @returns {Buffer}
+ */
+function png(width, height, box) {
+  const pixels = new Uint8Array(width * height * 4).fill(255);
+  for (let y = box?.y ?? 0; y < (box ? box.y + box.height : 0); y++) {
+    for (let x = box.x; x < box.x + box.width; x++) {
+      pixels.set([0, 0, 0, 255], (y * width + x) * 4);
+    }
+  }
+  return encodePng({ width, height, pixels });
+}
+
+let server;
+
+before(async () => {
+  server = await createServer({});
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  sessionStore.clear();
+});
+
+test('diffPngs reports the changed area', () => {
+  const summary = diffPngs(png(64, 64), png(64, 64, { x: 20, y: 20, width: 8, height: 8 }));
+
+  assert.equal(summary.changedPixels, 64);
+  assert.equal(summary.sizeChanged, false);
+  assert.deepEqual(summary.regions, [{ x: 16, y: 16, width: 16, height: 16 }]);
+});
+
+test('diffPngsInWorker matches the in-thread result', async () => {
+  const a = png(64, 64);
+  const b = png(80, 64, { x: 0, y: 0, width: 4, height: 4 });
+
+  assert.deepEqual(await diffPngsInWorker(a, b), diffPngs(a, b));
+});
+
+test('diffPngsInWorker rejects images it cannot decode', async () => {
+  await assert.rejects(diffPngsInWorker(Buffer.from('nope'), png(1, 1)), /Not a PNG image/);
+});
+
+test('the diff endpoint compares a frame with the one before it', async () => {
+  for (const [sequenceNumber, data] of [
+    [1, png(32, 32)],
+    [2, png(32, 32, { x: 0, y: 0, width: 2, height: 2 })]
+  ]) {
+    sessionStore.updateSnapshot(
+      's',
+      { sessionId: 's', sequenceNumber, outputFormat: 'png', mimeType: 'image/png' },
+      data
+    );
+  }
+
+  const response = await server.inject({ url: '/api/sessions/s/diff' });
+  const body = response.json();
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(body.from, 1);
+  assert.equal(body.to, 2);
+  assert.equal(body.changedPixels, 4);
+  assert.deepEqual(body.regions, [{ x: 0, y: 0, width: 16, height: 16 }]);
+});
+
+test('the diff endpoint refuses non-PNG snapshots', async () => {
+  for (const sequenceNumber of [1, 2]) {
+    sessionStore.updateSnapshot(
+      's',
+      { sessionId: 's', sequenceNumber, outputFormat: 'html', mimeType: 'text/html' },
+      Buffer.from(`<p>${sequenceNumber}</p>`)
+    );
+  }
+
+  const response = await server.inject({ url: '/api/sessions/s/diff' });
+
+  assert.equal(response.statusCode, 422);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { brotliCompressSync, deflateSync, gzipSync } from 'zlib';
+import { decodePayload } from '../src/protocol/encoding.js';
+import { createTestParser, frame } from './helpers/protocol.js';
+
+const text = Buffer.from('<html><body>' + 'preview '.repeat(1000) + '</body></html>');
+
+test('decodes gzip, deflate and br payloads', async () => {
+  assert.deepEqual(await decodePayload(gzipSync(text), 'gzip'), text);
+  assert.deepEqual(await decodePayload(deflateSync(text), 'deflate'), text);
+  assert.deepEqual(await decodePayload(brotliCompressSync(text), 'br'), text);
+});
+
+test('rejects unknown encodings', async () => {
+  await assert.rejects(decodePayload(text, 'zstd'), /Unsupported encoding: zstd/);
+});
+
+test('stops decoding past the output limit', async () => {
+  const bomb = gzipSync(Buffer.alloc(1024 * 1024));
+
+  for (const [encoding, data] of [
+    ['gzip', bomb],
+    ['deflate', deflateSync(Buffer.alloc(1024 * 1024))],
+    ['br', brotliCompressSync(Buffer.alloc(1024 * 1024))]
+  ]) {
+    await assert.rejects(decodePayload(data, encoding, 4096), RangeError);
+  }
+});
+
+test('a payload that decodes past the limit gets a payload_too_large ACK without a resend', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser({ maxDecodedBytes: 4096 });
+  await handshake();
+
+  await send(
+    frame(
+      {
+        type: 'snapshot',
+        sessionId: 's',
+        sequenceNumber: 1,
+        outputFormat: 'html',
+        mimeType: 'text/html',
+        encoding: 'gzip'
+      },
+      gzipSync(Buffer.alloc(1024 * 1024))
+    )
+  );
+
+  assert.equal(snapshots.length, 0);
+  assert.equal(sentOfType('ack')[0].errorCode, 'payload_too_large');
+  assert.equal(sentOfType('resend_request').length, 0);
+});
+
+test('a payload within the limit is decoded and delivered', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser();
+  await handshake();
+
+  await send(
+    frame(
+      {
+        type: 'snapshot',
+        sessionId: 's',
+        sequenceNumber: 1,
+        outputFormat: 'html',
+        mimeType: 'text/html',
+        encoding: 'gzip'
+      },
+      gzipSync(text)
+    )
+  );
+
+  assert.deepEqual(snapshots[0].data, text);
+  assert.equal(sentOfType('ack')[0].status, 'processed');
+});
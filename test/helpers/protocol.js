@@ -0,0 +1,88 @@
+import { setOutput } from '../../src/protocol/ack.js';
+import { createProtocolParser } from '../../src/protocol/parser.js';
+
+/**
+ * Frame a message the way hosts write it on the control channel
+ * @param {Object} metadata - JSON line
+ * @param {Buffer} [payload] - Binary payload, sent after an 8-byte little-endian length
+ * @returns {Buffer}
+ */
+export function frame(metadata, payload) {
+  const line = Buffer.from(JSON.stringify(metadata) + '\n');
+  if (!payload) return line;
+
+  const length = Buffer.alloc(8);
+  length.writeBigInt64LE(BigInt(payload.length));
+  return Buffer.concat([line, length, payload]);
+}
+
+/**
+ * Create a parser whose messages to the host and snapshots are collected for assertions
+ * @param {Object} [options] - Parser options overriding the defaults
+ * @returns {Object}
+ */
+export function createTestParser(options = {}) {
+  /** @type {Array<Object>} Messages sent to the host */
+  const sent = [];
+  /** @type {Array<{metadata: Object, data: Buffer}>} Snapshots handed to onSnapshot */
+  const snapshots = [];
+  /** @type {Array<Error>} */
+  const errors = [];
+
+  setOutput({
+    write: (text) => {
+      sent.push(JSON.parse(text));
+      return true;
+    }
+  });
+
+  const parser = createProtocolParser({
+    transport: 'stdin',
+    onSnapshot: (metadata, data) => {
+      snapshots.push({ metadata, data });
+    },
+    onHeartbeat: () => {},
+    onSessionClosed: () => {},
+    onSessionUnbound: () => {},
+    onShutdown: () => {},
+    onInitialized: () => {},
+    onError: (err) => errors.push(err),
+    commandContext: {},
+    ...options
+  });
+  parser.reset();
+
+  /**
+   * Send framed messages through the parser
+   * @param {...Buffer} messages
+   * @returns {Promise<void>}
+   */
+  async function send(...messages) {
+    for (const message of messages) {
+      await parser.processData(message);
+    }
+  }
+
+  /**
+   * Complete the handshake
+   * @param {Object} [features] - Features requested in initialize
+   * @returns {Promise<void>}
+   */
+  async function handshake(features) {
+    await send(
+      frame({ type: 'initialize', protocolVersion: '1.0', features }),
+      frame({ type: 'initialized' })
+    );
+  }
+
+  /**
+   * Get the messages of one type sent to the host
+   * @param {string} type
+   * @returns {Array<Object>}
+   */
+  function sentOfType(type) {
+    return sent.filter((message) => message.type === type);
+  }
+
+  return { parser, sent, snapshots, errors, send, handshake, sentOfType };
+}
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'zlib';
+import { createTestParser, frame } from './helpers/protocol.js';
+
+/**
+ * Build the metadata of an HTML snapshot
+ * @param {number} sequenceNumber
+ * @param {Object} [extra] - Fields to add
+ * @returns {Object}
+ */
+function html(sequenceNumber, extra = {}) {
+  return {
+    type: 'snapshot',
+    sessionId: 's',
+    sequenceNumber,
+    outputFormat: 'html',
+    mimeType: 'text/html',
+    ...extra
+  };
+}
+
+const page = Buffer.from('<p>preview</p>');
+
+test('snapshots before the handshake are refused and their payload skipped', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser();
+
+  await send(frame(html(1), page));
+  await handshake();
+  await send(frame(html(2), page));
+
+  assert.deepEqual(
+    snapshots.map(({ metadata }) => metadata.sequenceNumber),
+    [2]
+  );
+  const [refused, accepted] = sentOfType('ack');
+  assert.equal(refused.errorCode, 'handshake_required');
+  assert.equal(accepted.status, 'processed');
+  assert.equal(sentOfType('resend_request').length, 0);
+});
+
+test('a new initialize holds snapshots back until initialized', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser();
+  await handshake();
+
+  await send(frame({ type: 'initialize', protocolVersion: '1.0' }), frame(html(1), page));
+
+  assert.equal(snapshots.length, 0);
+  assert.equal(sentOfType('ack')[0].errorCode, 'handshake_required');
+});
+
+test('encodings the host left out of the handshake are refused', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser();
+  await handshake({ compression: ['br'] });
+
+  await send(frame(html(1, { encoding: 'gzip' }), gzipSync(page)));
+
+  assert.equal(snapshots.length, 0);
+  const [ack] = sentOfType('ack');
+  assert.equal(ack.errorCode, 'unsupported_encoding');
+  assert.match(ack.error, /gzip was not negotiated/);
+});
+
+test('chunked transfers are refused when chunking was turned off', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser();
+  await handshake({ chunking: false });
+
+  await send(
+    frame({ ...html(1), type: 'snapshot_begin', transferId: 't', totalSize: page.length }),
+    frame({ type: 'snapshot_chunk', transferId: 't', offset: 0 }, page),
+    frame({ type: 'snapshot_end', transferId: 't' })
+  );
+
+  assert.equal(snapshots.length, 0);
+  assert.deepEqual(
+    sentOfType('ack').map((ack) => ack.errorCode),
+    ['feature_not_negotiated', 'unknown_transfer', 'unknown_transfer']
+  );
+});
+
+test('delta snapshots are refused when delta was turned off', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser({
+    getDeltaBase: () => Buffer.alloc(0)
+  });
+  await handshake({ delta: false });
+
+  await send(
+    frame(
+      {
+        ...html(2),
+        outputFormat: 'png',
+        mimeType: 'image/png',
+        delta: { baseSequenceNumber: 1, tiles: [] }
+      },
+      Buffer.alloc(0)
+    )
+  );
+
+  assert.equal(snapshots.length, 0);
+  assert.equal(sentOfType('ack')[0].errorCode, 'feature_not_negotiated');
+  assert.equal(sentOfType('resend_request').length, 0);
+});
+
+/**
+ * Frame a chunked transfer of a payload split at the given offsets
+ * @param {Buffer} payload
+ * @param {Array<Array<number>>} parts - [start, end) ranges, sent in this order
+ * @returns {Array<Buffer>}
+ */
+function chunked(payload, parts) {
+  return [
+    frame({ ...html(1), type: 'snapshot_begin', transferId: 't', totalSize: payload.length }),
+    ...parts.map(([start, end]) =>
+      frame(
+        { type: 'snapshot_chunk', transferId: 't', offset: start },
+        payload.subarray(start, end)
+      )
+    ),
+    frame({ type: 'snapshot_end', transferId: 't' })
+  ];
+}
+
+test('chunks sent out of order are assembled', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser();
+  await handshake();
+
+  await send(
+    ...chunked(page, [
+      [8, 14],
+      [0, 4],
+      [4, 8]
+    ])
+  );
+
+  assert.deepEqual(snapshots[0].data, page);
+  assert.equal(sentOfType('ack')[0].status, 'processed');
+});
+
+test('overlapping chunks are refused instead of counted twice', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser();
+  await handshake();
+
+  // Counting both chunks would add up to the full size although bytes 10-13 never arrived
+  await send(
+    ...chunked(page, [
+      [0, 7],
+      [3, 10]
+    ])
+  );
+
+  assert.equal(snapshots.length, 0);
+  assert.deepEqual(
+    sentOfType('ack').map((ack) => ack.errorCode),
+    ['chunk_overlap', 'unknown_transfer']
+  );
+  assert.equal(sentOfType('resend_request')[0].reason, 'chunk_overlap');
+});
+
+test('a transfer with a gap is incomplete', async () => {
+  const { handshake, send, snapshots, sentOfType } = createTestParser();
+  await handshake();
+
+  await send(
+    ...chunked(page, [
+      [0, 4],
+      [8, 14]
+    ])
+  );
+
+  assert.equal(snapshots.length, 0);
+  assert.equal(sentOfType('ack')[0].errorCode, 'transfer_incomplete');
+});
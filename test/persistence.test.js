@@ -0,0 +1,74 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSessionPersistence } from '../src/session/persistence.js';
+
+let dataDir;
+
+beforeEach(async () => {
+  dataDir = await mkdtemp(join(tmpdir(), 'preview-persistence-'));
+});
+
+afterEach(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Build a session with one frame per page list
+ * @param {string} sessionId
+ * @param {Array<Array<Buffer|null>>} framePages
+ * @returns {Object}
+ */
+function session(sessionId, framePages) {
+  return {
+    sessionId,
+    documentType: 'pdf',
+    originalPath: '/docs/report.pdf',
+    label: 'Report',
+    color: null,
+    pinned: false,
+    history: framePages.map((pages, index) => ({
+      sequenceNumber: index + 1,
+      timestamp: '2026-01-01T00:00:00.000Z',
+      outputFormat: 'png',
+      mimeType: 'image/png',
+      receivedAt: 0,
+      pages: pages.map((data) => (data ? { data } : null))
+    }))
+  };
+}
+
+test('saved sessions load back with their pages', async () => {
+  const saved = session('../escape', [[Buffer.from('one'), null, Buffer.from('three')]]);
+  const persistence = createSessionPersistence(dataDir);
+  await persistence.saveSnapshot(saved, saved.history[0]);
+
+  const [loaded] = await createSessionPersistence(dataDir).load();
+
+  assert.equal(loaded.sessionId, '../escape');
+  assert.equal(loaded.label, 'Report');
+  assert.deepEqual(loaded.history[0].pages, [Buffer.from('one'), null, Buffer.from('three')]);
+});
+
+test('directories not named after their session are skipped', async () => {
+  const dir = join(dataDir, 'old-layout');
+  await mkdir(dir);
+  await writeFile(
+    join(dir, 'session.json'),
+    JSON.stringify({ sessionId: 'doc', frames: [{ sequenceNumber: 1, file: '1.bin' }] })
+  );
+  await writeFile(join(dir, '1.bin'), 'data');
+
+  assert.deepEqual(await createSessionPersistence(dataDir).load(), []);
+});
+
+test('removed sessions are not loaded again', async () => {
+  const saved = session('doc', [[Buffer.from('one')]]);
+  const persistence = createSessionPersistence(dataDir);
+  await persistence.saveSnapshot(saved, saved.history[0]);
+  await persistence.removeSession('doc');
+
+  assert.deepEqual(await createSessionPersistence(dataDir).load(), []);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'zlib';
+import { calculateCRC32 } from '../src/crc32.js';
+import {
+  MAX_PNG_PIXELS,
+  decodePng,
+  encodePng,
+  getAncillaryChunks,
+  readPngHeader
+} from '../src/image/png.js';
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Build a PNG chunk
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'ascii');
+  data.copy(out, 8);
+  out.writeUInt32BE(calculateCRC32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+/**
+ * Build a PNG from raw scanlines
+ * @param {Object} header
+ * @param {Buffer} raw - Filtered scanlines
+ * @param {Array<Buffer>} [extra] - Chunks placed before IDAT
+ * @returns {Buffer}
+ */
+function buildPng({ width, height, bitDepth, colorType }, raw, extra = []) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', ihdr),
+    ...extra,
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+test('encodePng and decodePng round-trip RGBA pixels', () => {
+  const pixels = Uint8Array.from({ length: 3 * 2 * 4 }, (_, i) => (i * 37) % 256);
+  const image = decodePng(encodePng({ width: 3, height: 2, pixels }));
+
+  assert.equal(image.width, 3);
+  assert.equal(image.height, 2);
+  assert.deepEqual(image.pixels, pixels);
+});
+
+test('decodes palette images with transparency', () => {
+  const palette = chunk('PLTE', Buffer.from([255, 0, 0, 0, 0, 255]));
+  const trns = chunk('tRNS', Buffer.from([128]));
+  // One row, two 1-bit pixels: entry 0 then entry 1
+  const data = buildPng(
+    { width: 2, height: 1, bitDepth: 1, colorType: 3 },
+    Buffer.from([0, 0b01000000]),
+    [palette, trns]
+  );
+
+  assert.deepEqual(Array.from(decodePng(data).pixels), [255, 0, 0, 128, 0, 0, 255, 255]);
+});
+
+test('keeps 16-bit samples when asked to', () => {
+  const raw = Buffer.from([0, 0x12, 0x34, 0xab, 0xcd, 0xff, 0xff]);
+  const data = buildPng({ width: 1, height: 1, bitDepth: 16, colorType: 2 }, raw);
+
+  assert.deepEqual(Array.from(decodePng(data).pixels), [0x12, 0xab, 0xff, 255]);
+  assert.deepEqual(
+    Array.from(decodePng(data, 16).pixels),
+    [0x12, 0x34, 0xab, 0xcd, 0xff, 0xff, 0xff, 0xff]
+  );
+  assert.equal(readPngHeader(encodePng(decodePng(data, 16))).bitDepth, 16);
+});
+
+test('getAncillaryChunks keeps metadata chunks on both sides of the image data', () => {
+  const gama = chunk('gAMA', Buffer.from([0, 0, 0xb1, 0x8f]));
+  const base = buildPng({ width: 1, height: 1, bitDepth: 8, colorType: 6 }, Buffer.alloc(5), [
+    gama
+  ]);
+  const withText = Buffer.concat([
+    base.subarray(0, base.length - 12),
+    chunk('tEXt', Buffer.from('Title\0x')),
+    base.subarray(base.length - 12)
+  ]);
+
+  const ancillary = getAncillaryChunks(withText);
+  assert.deepEqual(
+    ancillary.before.map((entry) => entry.type),
+    ['gAMA']
+  );
+  assert.deepEqual(
+    ancillary.after.map((entry) => entry.type),
+    ['tEXt']
+  );
+
+  const reencoded = encodePng(decodePng(withText), ancillary);
+  assert.deepEqual(getAncillaryChunks(reencoded), ancillary);
+});
+
+test('rejects headers larger than the pixel limit before allocating', () => {
+  const side = Math.ceil(Math.sqrt(MAX_PNG_PIXELS)) + 1;
+  const data = buildPng({ width: side, height: side, bitDepth: 8, colorType: 6 }, Buffer.alloc(1));
+
+  assert.throws(() => decodePng(data), /exceeds the limit/);
+});
+
+test('rejects image data that inflates past what the header allows', () => {
+  const data = buildPng({ width: 1, height: 1, bitDepth: 8, colorType: 6 }, Buffer.alloc(1 << 20));
+
+  assert.throws(() => decodePng(data), /larger than its header allows/);
+});
+
+test('rejects data that is not a PNG', () => {
+  assert.throws(() => decodePng(Buffer.from('GIF89a')), /Not a PNG image/);
+});
@@ -0,0 +1,153 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'zlib';
+import { createServer } from '../src/server/fastify.js';
+import { sessionStore } from '../src/session/store.js';
+
+let server;
+
+/**
+ * Store a PDF snapshot the way the parser hands it over
+ * @param {number} sequenceNumber
+ * @param {string} text - Payload contents
+ * @returns {void}
+ */
+function storePdf(sequenceNumber, text) {
+  sessionStore.updateSnapshot(
+    'doc',
+    {
+      sessionId: 'doc',
+      sequenceNumber,
+      documentType: 'pdf',
+      outputFormat: 'pdf',
+      mimeType: 'application/pdf',
+      timestamp: new Date().toISOString()
+    },
+    Buffer.from(text)
+  );
+}
+
+before(async () => {
+  server = await createServer({});
+});
+
+after(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  sessionStore.clear();
+});
+
+test('serving the latest frame by sequence number marks the session viewed', async () => {
+  storePdf(1, 'first');
+  storePdf(2, 'second');
+  sessionStore.getSession('doc').lastViewedAt = 0;
+
+  const older = await server.inject({ url: '/api/sessions/doc/snapshots/1?encoding=identity' });
+  assert.equal(older.statusCode, 200);
+  assert.equal(sessionStore.getSession('doc').hasUpdate, true);
+  assert.equal(sessionStore.getSession('doc').lastViewedAt, 0);
+
+  const latest = await server.inject({ url: '/api/sessions/doc/snapshots/2?encoding=identity' });
+  assert.equal(latest.statusCode, 200);
+  assert.equal(sessionStore.getSession('doc').hasUpdate, false);
+  assert.ok(sessionStore.getSession('doc').lastViewedAt > 0);
+});
+
+test('range requests return partial content', async () => {
+  storePdf(1, '0123456789');
+
+  const response = await server.inject({
+    url: '/api/sessions/doc/snapshots/1',
+    headers: { range: 'bytes=2-5' }
+  });
+
+  assert.equal(response.statusCode, 206);
+  assert.equal(response.headers['content-range'], 'bytes 2-5/10');
+  assert.equal(response.body, '2345');
+});
+
+test('unsatisfiable ranges return 416', async () => {
+  storePdf(1, '0123456789');
+
+  const response = await server.inject({
+    url: '/api/sessions/doc/snapshots/1',
+    headers: { range: 'bytes=20-30' }
+  });
+
+  assert.equal(response.statusCode, 416);
+  assert.equal(response.headers['content-range'], 'bytes */10');
+});
+
+test('If-Range applies the range only for the current strong tag', async () => {
+  storePdf(1, '0123456789');
+  const { etag } = (await server.inject({ url: '/api/sessions/doc/snapshots/1' })).headers;
+
+  const matching = await server.inject({
+    url: '/api/sessions/doc/snapshots/1',
+    headers: { range: 'bytes=0-0', 'if-range': etag }
+  });
+  const weak = await server.inject({
+    url: '/api/sessions/doc/snapshots/1',
+    headers: { range: 'bytes=0-0', 'if-range': `W/${etag}` }
+  });
+
+  assert.equal(matching.statusCode, 206);
+  assert.equal(weak.statusCode, 200);
+  assert.equal(weak.body, '0123456789');
+});
+
+test('If-None-Match with the current tag answers 304 until a new snapshot arrives', async () => {
+  storePdf(1, 'first');
+  const url = '/api/sessions/doc/snapshot';
+  const { etag } = (await server.inject({ url })).headers;
+
+  const cached = await server.inject({ url, headers: { 'if-none-match': etag } });
+  assert.equal(cached.statusCode, 304);
+  assert.equal(cached.body, '');
+
+  storePdf(2, 'second');
+  const changed = await server.inject({ url, headers: { 'if-none-match': etag } });
+  assert.equal(changed.statusCode, 200);
+  assert.notEqual(changed.headers.etag, etag);
+});
+
+test('If-Modified-Since answers 304 for a frame that has not changed since', async () => {
+  storePdf(1, 'first');
+  const url = '/api/sessions/doc/snapshots/1';
+  const lastModified = (await server.inject({ url })).headers['last-modified'];
+
+  const cached = await server.inject({ url, headers: { 'if-modified-since': lastModified } });
+
+  assert.equal(cached.statusCode, 304);
+});
+
+test('compressed pages are tagged weakly and still match their strong tag', async () => {
+  sessionStore.updateSnapshot(
+    'doc',
+    {
+      sessionId: 'doc',
+      sequenceNumber: 1,
+      outputFormat: 'html',
+      mimeType: 'text/html',
+      encoding: 'gzip',
+      timestamp: new Date().toISOString()
+    },
+    Buffer.from('<p>page</p>'),
+    { encoding: 'gzip', data: gzipSync('<p>page</p>') }
+  );
+  const url = '/api/sessions/doc/snapshots/1';
+
+  const compressed = await server.inject({ url, headers: { 'accept-encoding': 'gzip' } });
+  const identity = await server.inject({ url });
+
+  assert.equal(compressed.headers['content-encoding'], 'gzip');
+  assert.equal(compressed.headers.etag, `W/${identity.headers.etag}`);
+
+  const cached = await server.inject({
+    url,
+    headers: { 'accept-encoding': 'gzip', 'if-none-match': identity.headers.etag }
+  });
+  assert.equal(cached.statusCode, 304);
+});
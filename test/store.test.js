@@ -0,0 +1,108 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sessionStore } from '../src/session/store.js';
+
+beforeEach(() => {
+  sessionStore.clear();
+});
+
+afterEach(() => {
+  sessionStore.configure({ maxBytes: 0, maxSessions: 0 });
+});
+
+/**
+ * Store an HTML snapshot
+ * @param {string} sessionId
+ * @param {number} sequenceNumber
+ * @param {string} text - Payload contents
+ * @returns {{duplicate: boolean, pageAdded: boolean, evictions: Array<Object>}}
+ */
+function store(sessionId, sequenceNumber, text) {
+  return sessionStore.updateSnapshot(
+    sessionId,
+    {
+      sessionId,
+      sequenceNumber,
+      outputFormat: 'html',
+      mimeType: 'text/html',
+      timestamp: new Date().toISOString()
+    },
+    Buffer.from(text)
+  );
+}
+
+test('an identical snapshot is folded into the latest frame', () => {
+  store('doc', 1, 'same');
+  const result = store('doc', 2, 'same');
+
+  assert.equal(result.duplicate, true);
+  assert.deepEqual(
+    sessionStore.getHistory('doc').map((frame) => frame.sequenceNumber),
+    [1]
+  );
+  assert.equal(sessionStore.getFrame('doc', 2), sessionStore.getFrame('doc', 1));
+});
+
+test('only consecutive snapshots are deduplicated', () => {
+  store('doc', 1, 'a');
+  store('doc', 2, 'b');
+  const result = store('doc', 3, 'a');
+
+  assert.equal(result.duplicate, false);
+  assert.deepEqual(
+    sessionStore.getHistory('doc').map((frame) => frame.sequenceNumber),
+    [1, 2, 3]
+  );
+});
+
+test('a frame keeps only the most recent aliases', () => {
+  store('doc', 1, 'same');
+  for (let sequenceNumber = 2; sequenceNumber <= 20; sequenceNumber++) {
+    store('doc', sequenceNumber, 'same');
+  }
+
+  assert.equal(sessionStore.getFrame('doc', 2), undefined);
+  assert.equal(sessionStore.getFrame('doc', 20).sequenceNumber, 1);
+});
+
+test('old history frames are evicted before whole sessions', () => {
+  sessionStore.configure({ maxBytes: 30 });
+  store('a', 1, 'x'.repeat(10));
+  store('a', 2, 'y'.repeat(10));
+  store('b', 1, 'z'.repeat(10));
+
+  const { evictions } = store('b', 2, 'w'.repeat(10));
+
+  assert.deepEqual(
+    evictions.map(({ type, sessionId, sequenceNumber }) => ({ type, sessionId, sequenceNumber })),
+    [{ type: 'frame', sessionId: 'a', sequenceNumber: 1 }]
+  );
+  assert.equal(sessionStore.getMemoryStats().totalBytes, 30);
+  assert.equal(sessionStore.size, 2);
+});
+
+test('the least recently viewed session is evicted first', () => {
+  sessionStore.configure({ maxSessions: 2 });
+  store('a', 1, 'a');
+  store('b', 1, 'b');
+  sessionStore.getSession('a').lastViewedAt = 2;
+  sessionStore.getSession('b').lastViewedAt = 1;
+
+  const { evictions } = store('c', 1, 'c');
+
+  assert.deepEqual(
+    evictions.map(({ type, sessionId, reason }) => ({ type, sessionId, reason })),
+    [{ type: 'session', sessionId: 'b', reason: 'session_limit' }]
+  );
+  assert.ok(sessionStore.getSession('a'));
+  assert.ok(sessionStore.getSession('c'));
+});
+
+test('the session that was just updated is never evicted', () => {
+  sessionStore.configure({ maxBytes: 5 });
+
+  const { evictions } = store('a', 1, 'x'.repeat(10));
+
+  assert.deepEqual(evictions, []);
+  assert.ok(sessionStore.getSession('a'));
+});
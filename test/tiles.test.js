@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodePng, encodePng } from '../src/image/png.js';
+import { compositeTiles, compositeTilesInWorker, parseTiles } from '../src/image/tiles.js';
+
+/**
+ * Encode a PNG filled with one color
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<number>} rgba
+ * @returns {Buffer}
+ */
+function solid(width, height, rgba) {
+  const pixels = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) pixels.set(rgba, i * 4);
+  return encodePng({ width, height, pixels });
+}
+
+/**
+ * Read one pixel of a PNG image
+ * @param {Buffer} png
+ * @param {number} x
+ * @param {number} y
+ * @returns {Array<number>}
+ */
+function pixelAt(png, x, y) {
+  const { width, pixels } = decodePng(png);
+  const offset = (y * width + x) * 4;
+  return Array.from(pixels.subarray(offset, offset + 4));
+}
+
+const white = [255, 255, 255, 255];
+const red = [255, 0, 0, 255];
+
+test('tiles are cut from the payload by offset and length', () => {
+  const first = solid(1, 1, red);
+  const second = solid(2, 1, red);
+  const payload = Buffer.concat([first, second]);
+
+  const tiles = parseTiles(
+    {
+      tiles: [
+        { x: 0, y: 0, width: 1, height: 1, offset: 0, length: first.length },
+        { x: 1, y: 2, width: 2, height: 1, offset: first.length, length: second.length }
+      ]
+    },
+    payload
+  );
+
+  assert.deepEqual(tiles[0].data, first);
+  assert.deepEqual(tiles[1].data, second);
+  assert.equal(tiles[1].y, 2);
+});
+
+test('tile lists with bad fields are rejected', () => {
+  const payload = Buffer.alloc(10);
+  const tile = { x: 0, y: 0, width: 1, height: 1, offset: 0, length: 10 };
+
+  assert.throws(() => parseTiles({ tiles: [] }, payload), /non-empty array/);
+  assert.throws(() => parseTiles({ tiles: [{ ...tile, x: -1 }] }, payload), /non-negative/);
+  assert.throws(() => parseTiles({ tiles: [{ ...tile, width: 0 }] }, payload), /positive/);
+  assert.throws(() => parseTiles({ tiles: [{ ...tile, length: 11 }] }, payload), /exceeds/);
+});
+
+test('tiles are painted over the base image', async () => {
+  const tile = solid(2, 1, red);
+  const tiles = [{ x: 1, y: 2, width: 2, height: 1, data: tile }];
+  const base = solid(4, 4, white);
+
+  const composed = compositeTiles(base, tiles);
+
+  assert.deepEqual(pixelAt(composed, 0, 2), white);
+  assert.deepEqual(pixelAt(composed, 1, 2), red);
+  assert.deepEqual(pixelAt(composed, 2, 2), red);
+  assert.deepEqual(pixelAt(composed, 3, 2), white);
+  assert.deepEqual(await compositeTilesInWorker(base, tiles), composed);
+});
+
+test('tiles that do not fit their rectangle or the image are rejected', () => {
+  const base = solid(4, 4, white);
+  const tile = solid(2, 2, red);
+
+  assert.throws(
+    () => compositeTiles(base, [{ x: 0, y: 0, width: 1, height: 2, data: tile }]),
+    /image is 2x2, expected 1x2/
+  );
+  assert.throws(
+    () => compositeTiles(base, [{ x: 3, y: 0, width: 2, height: 2, data: tile }]),
+    /outside the 4x4 image/
+  );
+});
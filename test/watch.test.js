@@ -0,0 +1,102 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, unlink, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createFileWatcher, describeFile, fileSessionId } from '../src/watch.js';
+
+let dir;
+let watcher;
+/** @type {Array<Object>} Snapshots and removals in the order they were reported */
+let events;
+/** @type {Function|null} Resolves the wait for the next event */
+let notify;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'preview-watch-'));
+  events = [];
+  notify = null;
+
+  const sequenceNumbers = new Map();
+  watcher = createFileWatcher({
+    onSnapshot: (metadata, data) => report({ metadata, data: data.toString() }),
+    onRemove: (sessionId) => report({ removed: sessionId }),
+    nextSequenceNumber: (sessionId) => {
+      const next = (sequenceNumbers.get(sessionId) ?? 0) + 1;
+      sequenceNumbers.set(sessionId, next);
+      return next;
+    }
+  });
+});
+
+afterEach(async () => {
+  watcher.stop();
+  await rm(dir, { recursive: true, force: true });
+});
+
+/**
+ * Record a watcher event and wake up a test waiting for it
+ * @param {Object} event
+ * @returns {void}
+ */
+function report(event) {
+  events.push(event);
+  if (notify) notify();
+}
+
+/**
+ * Wait until the watcher has reported a number of events
+ * @param {number} count
+ * @returns {Promise<void>}
+ */
+async function waitForEvents(count) {
+  const deadline = Date.now() + 5000;
+  while (events.length < count) {
+    assert.ok(Date.now() < deadline, `Timed out waiting for event ${count}`);
+    await new Promise((resolve) => {
+      notify = resolve;
+      setTimeout(resolve, 100);
+    });
+  }
+}
+
+test('file types come from the output and source extensions', () => {
+  assert.deepEqual(describeFile('/out/report.docx.png'), {
+    documentType: 'word',
+    outputFormat: 'png',
+    mimeType: 'image/png'
+  });
+  assert.equal(describeFile('/out/deck.PPTX.HTML').documentType, 'powerpoint');
+  assert.equal(describeFile('/out/manual.pdf').documentType, 'pdf');
+  assert.equal(describeFile('/out/chart.svg').documentType, 'file');
+  assert.equal(describeFile('/out/notes.txt'), null);
+});
+
+test('existing files are loaded and unsupported ones skipped', async () => {
+  await writeFile(join(dir, 'report.docx.html'), '<p>report</p>');
+  await writeFile(join(dir, 'notes.txt'), 'notes');
+
+  await watcher.watchDirectory(dir);
+
+  assert.equal(events.length, 1);
+  const [{ metadata, data }] = events;
+  assert.equal(metadata.sessionId, fileSessionId(join(dir, 'report.docx.html')));
+  assert.equal(metadata.sequenceNumber, 1);
+  assert.equal(metadata.outputFormat, 'html');
+  assert.equal(data, '<p>report</p>');
+});
+
+test('changed files become new snapshots and deleted files close their session', async () => {
+  const file = join(dir, 'page.html');
+  await writeFile(file, 'one');
+  await watcher.watchDirectory(dir);
+
+  await writeFile(file, 'two');
+  await waitForEvents(2);
+  assert.equal(events[1].data, 'two');
+  assert.equal(events[1].metadata.sequenceNumber, 2);
+
+  await unlink(file);
+  await waitForEvents(3);
+  assert.deepEqual(events[2], { removed: fileSessionId(file) });
+});
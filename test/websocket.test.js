@@ -0,0 +1,69 @@
+import { test, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { createServer } from '../src/server/fastify.js';
+import { initWebSocket, closeAllConnections } from '../src/server/websocket.js';
+
+let server;
+let url;
+const hosts = [];
+
+before(async () => {
+  server = await createServer({});
+  initWebSocket(server, {
+    onHostConnection: (ws) => hosts.push(ws),
+    ingestToken: 's3cret'
+  });
+  await server.listen({ port: 0, host: '127.0.0.1' });
+  url = `ws://127.0.0.1:${server.server.address().port}`;
+});
+
+after(async () => {
+  closeAllConnections();
+  await server.close();
+});
+
+/**
+ * Open a WebSocket and wait for it to connect or be refused
+ * @param {string} target
+ * @param {Object} [options] - ws client options
+ * @returns {Promise<{ws: WebSocket}|{status: number}>}
+ */
+function connect(target, options) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(target, options);
+    ws.on('open', () => resolve({ ws }));
+    ws.on('unexpected-response', (_request, response) => {
+      resolve({ status: response.statusCode });
+    });
+    ws.on('error', reject);
+  });
+}
+
+test('ingest refuses upgrades that carry a browser Origin', async () => {
+  const result = await connect(`${url}/ingest?token=s3cret`, { origin: 'https://example.com' });
+
+  assert.equal(result.status, 403);
+  assert.equal(hosts.length, 0);
+});
+
+test('ingest refuses a wrong token', async () => {
+  const result = await connect(`${url}/ingest`, { headers: { authorization: 'Bearer nope' } });
+
+  assert.equal(result.status, 401);
+});
+
+test('ingest accepts a host with the token and no Origin', async () => {
+  const result = await connect(`${url}/ingest`, { headers: { authorization: 'Bearer s3cret' } });
+
+  assert.ok(result.ws);
+  assert.equal(hosts.length, 1);
+  result.ws.close();
+});
+
+test('browser clients still connect on /ws with an Origin', async () => {
+  const result = await connect(`${url}/ws`, { origin: 'http://localhost:3000' });
+
+  assert.ok(result.ws);
+  result.ws.close();
+});